@@ -4,11 +4,11 @@
 const METAR_PROXY = '/api/metar';
 const TAF_PROXY = '/api/taf';
 const AIRPORTS_PROXY = '/api/airports';
-const AUSTRIA_CENTER = [47.85, 16.26]; // LOAV Bad Vöslau
-const AUSTRIA_ZOOM = 10;
-const METAR_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
 const AIRPORT_CACHE_KEY = 'deckenhoehe_airports_cache';
 const AIRPORT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const SCHEME_STORAGE_KEY = 'deckenhoehe_scheme';
+const FORECAST_MODE_KEY = 'deckenhoehe_forecast_mode';
+const LIVE_RETRY_INTERVAL = 60 * 1000; // reconnect delay after the server refused the live stream
 
 // Airport type labels
 const AIRPORT_TYPES = {
@@ -27,35 +27,41 @@ const FREQ_TYPES = {
   15: 'Radio', 16: 'Other', 17: 'AIRMET', 18: 'AWOS', 19: 'Lights', 20: 'VOLMET',
 };
 
-// Flight category colors & labels
-const FLIGHT_CATEGORIES = {
-  VFR:  { color: '#2ecc71', label: 'VFR',  desc: 'Visual Flight Rules' },
-  IFR:  { color: '#e74c3c', label: 'IFR',  desc: 'Instrument Flight Rules' },
-};
-
 const NO_DATA_COLOR = '#95a5a6';
-const GUST_WARNING_KT = 20; // Show warning when gusts >= this value
 
-// Major Austrian airports (ICAO codes)
-const MAJOR_AIRPORTS = new Set([
-  'LOWW', 'LOWS', 'LOWG', 'LOWI', 'LOWK', 'LOWL', 'LOAV',
-]);
+// Defaults until /api/config answers; the server config (data/config.json) owns these
+const settings = {
+  country: 'AT',
+  mapCenter: [47.85, 16.26], // LOAV Bad Vöslau
+  mapZoom: 10,
+  refreshInterval: 30 * 60 * 1000, // METAR/TAF refresh
+  gustWarningKt: 20, // Show warning when gusts >= this value
+  majorAirports: new Set(['LOWW', 'LOWS', 'LOWG', 'LOWI', 'LOWK', 'LOWL', 'LOAV']), // ICAO codes
+};
 
 let map;
 let airportMarkers = [];
 let airportsData = [];
 let metarData = {};  // keyed by ICAO code
 let tafData = {};    // keyed by ICAO code
+let tafBusts = {};   // keyed by ICAO code: { observed, forecast } while the METAR busts the TAF
 let refreshTimer = null;
 let ageTimer = null;
 let lastWeatherFetch = null;
 let lastApiFetch = null; // last time data was actually fetched from AWC API (not from cache)
 let selectedHorizon = 'current'; // 'current', '2h', '4h', '8h', '24h'
+let isAdmin = false; // only admins may bypass the server cache (force=1)
+let markersByIcao = new Map(); // ICAO → marker, for live updates of single stations
+let eventSource = null;
+let liveState = 'off'; // 'off' (never connected), 'live', 'lost'
+let lastLiveUpdate = null; // when the live stream last delivered reports (ms)
+let nextServerFetch = null; // ISO time of the server's next scheduled fetch, from the live stream
+let forecastMode = 'worst'; // 'worst' (TEMPO/PROB folded in) or 'probabilistic' (PROB shown as possible)
 
 // ─── Map Init ──────────────────────────────────────────────
 
 function initMap() {
-  map = L.map('map', { zoomControl: true }).setView(AUSTRIA_CENTER, AUSTRIA_ZOOM);
+  map = L.map('map', { zoomControl: true }).setView(settings.mapCenter, settings.mapZoom);
   L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
     attribution: '&copy; OpenStreetMap contributors',
     maxZoom: 18,
@@ -64,60 +70,26 @@ function initMap() {
 }
 
 // ─── Flight Category Logic ─────────────────────────────────
+// Shared with the server via flight-category.js (loaded before this script)
 
-// Compute flight category from ceiling (ft AGL) and visibility (SM)
-// Using AWC criteria: https://aviationweather.gov/gfa/help/
-function computeFlightCategory(ceilingFt, visibSM) {
-  // ICAO/Austrian VFR: ceiling > 1500 ft AND visibility > 5 km (~3.107 SM)
-  const VFR_CEIL = 1500;
-  const VFR_VIS_SM = 5 / 1.60934; // 5 km in statute miles
-
-  // Parse visibility — AWC uses "6+" to mean > 6 SM
-  let vis = null;
-  if (visibSM != null && visibSM !== '') {
-    if (typeof visibSM === 'string') {
-      if (visibSM.includes('+')) vis = parseFloat(visibSM) + 0.1; // "6+" → treat as > 6
-      else vis = parseFloat(visibSM);
-    } else {
-      vis = visibSM;
-    }
-  }
-
-  if (ceilingFt != null && ceilingFt <= VFR_CEIL) return 'IFR';
-  if (vis != null && vis <= VFR_VIS_SM) return 'IFR';
-  return 'VFR';
-}
+// The selected scheme is FlightCategory's default, so the helpers below need no scheme argument.
 
-function getCeilingFromClouds(clouds) {
-  if (!clouds || !Array.isArray(clouds)) return null;
-  for (const c of clouds) {
-    if (c.cover === 'BKN' || c.cover === 'OVC' || c.cover === 'OVX') {
-      return c.base;
-    }
-  }
-  return null;
-}
+const {
+  categorySeverity, getCategoryInfo, getCeilingFromClouds, getFlightCategory, getTafPeriodCategory,
+} = FlightCategory;
 
-function getFlightCategory(metar) {
-  if (!metar) return null;
-  const ceiling = getCeilingFromClouds(metar.clouds);
-  return computeFlightCategory(ceiling, metar.visib);
+function categoryColor(cat, fallback = NO_DATA_COLOR) {
+  const info = getCategoryInfo(cat);
+  return info ? info.color : fallback;
 }
 
 function getMarkerColor(icao) {
-  const cat = getDisplayCategory(icao);
-  if (cat && FLIGHT_CATEGORIES[cat]) return FLIGHT_CATEGORIES[cat].color;
-  return NO_DATA_COLOR;
-}
-
-function getCategoryClass(icao) {
-  const cat = getDisplayCategory(icao);
-  return cat ? cat.toLowerCase() : 'nodata';
+  return categoryColor(getDisplayCategory(icao));
 }
 
 function getCategoryLabel(icao) {
-  const cat = getDisplayCategory(icao);
-  return (cat && FLIGHT_CATEGORIES[cat]) ? FLIGHT_CATEGORIES[cat].label : 'No WX Data';
+  const info = getCategoryInfo(getDisplayCategory(icao));
+  return info ? info.label : 'No WX Data';
 }
 
 // ─── Pressure & Density Altitude Computation ──────────────
@@ -204,74 +176,42 @@ function fmtUtcTime(d) {
   return String(d.getUTCHours()).padStart(2, '0') + ':' + String(d.getUTCMinutes()).padStart(2, '0') + ' UTC';
 }
 
-// ─── TAF Flight Category for a Forecast Period ─────────────
-
-function getTafPeriodCategory(period) {
-  const ceiling = getCeilingFromClouds(period.clouds);
-  const vis = period.visib;
-  // Only compute if we have at least one data point
-  if (ceiling == null && (vis == null || vis === '')) return null;
-  return computeFlightCategory(ceiling, vis);
-}
-
 // ─── Forecast Category at Future Time ───────────────────────
 
-const CATEGORY_SEVERITY = { VFR: 0, IFR: 1 };
-
-function worseCat(a, b) {
-  if (!a) return b;
-  if (!b) return a;
-  return (CATEGORY_SEVERITY[a] || 0) >= (CATEGORY_SEVERITY[b] || 0) ? a : b;
+// { cat, possibleCat, probability } in the selected forecast mode (possibleCat only when probabilistic)
+function getForecastOutlook(icao, targetTime) {
+  const taf = tafData[icao];
+  if (forecastMode === 'probabilistic') return FlightCategory.getForecastOutlookFromTaf(taf, targetTime);
+  const cat = FlightCategory.getForecastCategoryFromTaf(taf, targetTime);
+  return cat ? { cat, possibleCat: null, probability: null } : null;
 }
 
 function getForecastCategory(icao, targetTime) {
-  const taf = tafData[icao];
-  if (!taf || !taf.fcsts || taf.fcsts.length === 0) return null;
-  if (targetTime < taf.validTimeFrom || targetTime >= taf.validTimeTo) return null;
-
-  const basePeriods = taf.fcsts.filter(f => !f.fcstChange);
-  const changeGroups = taf.fcsts.filter(f => f.fcstChange);
-
-  // Find base forecast period covering targetTime
-  let baseCat = null;
-  for (const period of basePeriods) {
-    if (period.timeFrom <= targetTime && targetTime < period.timeTo) {
-      baseCat = getTafPeriodCategory(period);
-      break;
-    }
-  }
-
-  // Apply BECMG groups
-  for (const cg of changeGroups) {
-    if (cg.fcstChange !== 'BECMG') continue;
-    const completionTime = cg.timeBec || cg.timeTo;
-    if (cg.timeFrom <= targetTime) {
-      const becmgCat = getTafPeriodCategory(cg);
-      baseCat = worseCat(baseCat, becmgCat);
-    }
-  }
+  const outlook = getForecastOutlook(icao, targetTime);
+  return outlook ? outlook.cat : null;
+}
 
-  // Overlay TEMPO/PROB groups — worst case
-  let worstCat = baseCat;
-  for (const cg of changeGroups) {
-    if (cg.fcstChange === 'BECMG') continue;
-    if (cg.timeFrom <= targetTime && targetTime < cg.timeTo) {
-      worstCat = worseCat(worstCat, getTafPeriodCategory(cg));
-    }
+// Outlook at the selected horizon; falls back to the METAR (which has no possible category)
+function getDisplayOutlook(icao) {
+  const hoursMap = { '2h': 2, '4h': 4, '8h': 8, '24h': 24 };
+  const hours = hoursMap[selectedHorizon];
+  if (hours) {
+    const outlook = getForecastOutlook(icao, Math.floor(Date.now() / 1000) + hours * 3600);
+    if (outlook && outlook.cat) return outlook;
   }
-
-  return worstCat;
+  const cat = getFlightCategory(metarData[icao]);
+  return cat ? { cat, possibleCat: null, probability: null } : null;
 }
 
 function getDisplayCategory(icao) {
-  if (selectedHorizon === 'current') {
-    return getFlightCategory(metarData[icao]);
-  }
-  const hoursMap = { '2h': 2, '4h': 4, '8h': 8, '24h': 24 };
-  const hours = hoursMap[selectedHorizon];
-  if (!hours) return getFlightCategory(metarData[icao]);
-  const targetTime = Math.floor(Date.now() / 1000) + hours * 3600;
-  return getForecastCategory(icao, targetTime) || getFlightCategory(metarData[icao]);
+  const outlook = getDisplayOutlook(icao);
+  return outlook ? outlook.cat : null;
+}
+
+// "30% IFR" for an outlook with a possible worse category, else ''
+function possibleLabel(outlook) {
+  if (!outlook || !outlook.possibleCat) return '';
+  return `${outlook.probability ? outlook.probability + '% ' : ''}${outlook.possibleCat}`;
 }
 
 function getTrendForAirport(icao) {
@@ -287,8 +227,8 @@ function getTrendForAirport(icao) {
   const nextCat = getForecastCategory(icao, nextTime) || getFlightCategory(metarData[icao]);
   if (!nextCat) return null;
 
-  const currentSev = CATEGORY_SEVERITY[currentCat];
-  const nextSev = CATEGORY_SEVERITY[nextCat];
+  const currentSev = categorySeverity(currentCat);
+  const nextSev = categorySeverity(nextCat);
   if (nextSev > currentSev) return 'deteriorating';
   if (nextSev < currentSev) return 'improving';
   return null;
@@ -299,7 +239,7 @@ function getTrendForAirport(icao) {
 function hasCurrentGustWarning(icao) {
   const metar = metarData[icao];
   if (!metar) return false;
-  return metar.wgst >= GUST_WARNING_KT;
+  return metar.wgst >= settings.gustWarningKt;
 }
 
 function hasForecastGustWarning(icao) {
@@ -308,7 +248,7 @@ function hasForecastGustWarning(icao) {
   const now = Math.floor(Date.now() / 1000);
   for (const period of taf.fcsts) {
     if (period.timeTo <= now) continue;
-    if (period.wgst >= GUST_WARNING_KT) return true;
+    if (period.wgst >= settings.gustWarningKt) return true;
   }
   return false;
 }
@@ -333,15 +273,29 @@ function getMaxGust(icao) {
 }
 
 function getForecastGustAt(icao, targetTime) {
-  const taf = tafData[icao];
-  if (!taf || !taf.fcsts) return 0;
-  let maxGust = 0;
-  for (const period of taf.fcsts) {
-    if (period.timeFrom <= targetTime && targetTime < period.timeTo) {
-      if (period.wgst > maxGust) maxGust = period.wgst;
-    }
+  const weather = FlightCategory.getForecastWeatherFromTaf(tafData[icao], targetTime);
+  return (weather && weather.wgst) || 0;
+}
+
+// ─── TAF Bust Detection ───────────────────────────────────
+
+// The METAR is worse than anything the TAF allows at observation time (selected scheme)
+function detectTafBusts() {
+  tafBusts = {};
+  for (const [icao, metar] of Object.entries(metarData)) {
+    const taf = tafData[icao];
+    if (!taf) continue;
+    const bust = FlightCategory.getTafBust(metar, taf, metar.obsTime || Math.floor(Date.now() / 1000));
+    if (bust) tafBusts[icao] = bust;
   }
-  return maxGust;
+}
+
+function bustExplanation(icao) {
+  const bust = tafBusts[icao];
+  if (!bust) return '';
+  const metar = metarData[icao];
+  const at = metar && metar.obsTime ? ` of ${fmtUtcTime(new Date(metar.obsTime * 1000))}` : '';
+  return `The METAR${at} is ${bust.observed}, but the TAF allows at worst ${bust.forecast} for that time — no base, BECMG, TEMPO or PROB group covers it. Don't rely on the forecast until it is amended.`;
 }
 
 // ─── Marker Icons ──────────────────────────────────────────
@@ -363,9 +317,20 @@ function createAirportIcon(icao, isMajor, trend, gustWarn, gustValue) {
 
   let gustHtml = '';
   if (gustWarn && gustValue) {
-    gustHtml = `<div class="gust-label${isMajor ? ' gust-label-major' : ''}" title="Gusts ≥ ${GUST_WARNING_KT}kt">G${gustValue}</div>`;
+    gustHtml = `<div class="gust-label${isMajor ? ' gust-label-major' : ''}" title="Gusts ≥ ${settings.gustWarningKt}kt">G${gustValue}</div>`;
+  }
+
+  let bustHtml = '';
+  if (tafBusts[icao]) {
+    bustHtml = `<div class="bust-label${isMajor ? ' bust-label-major' : ''}" title="TAF bust: ${tafBusts[icao].observed} observed">TAF&#10007;</div>`;
   }
 
+  // Possible worse category (probabilistic mode): dashed border in that category's colour
+  const outlook = getDisplayOutlook(icao);
+  const borderStyle = outlook && outlook.possibleCat
+    ? `${border}px dashed ${categoryColor(outlook.possibleCat)}`
+    : `${border}px solid white`;
+
   const dotWidth = size + border * 2;
   const arrowExtra = trend ? (isMajor ? 18 : 13) : 0;
 
@@ -373,10 +338,10 @@ function createAirportIcon(icao, isMajor, trend, gustWarn, gustValue) {
     className: 'airport-marker',
     html: `<div class="marker-wrapper"><div style="
       width: ${size}px; height: ${size}px; background: ${color};
-      border: ${border}px solid white; border-radius: 50%;
+      border: ${borderStyle}; border-radius: 50%;
       box-shadow: ${shadow};
       ${isMajor ? 'outline: 2px solid ' + color + '40;' : ''}
-    "></div>${arrowHtml}${gustHtml}</div>`,
+    "></div>${arrowHtml}${gustHtml}${bustHtml}</div>`,
     iconSize: [dotWidth + arrowExtra + 20, dotWidth + 10],
     iconAnchor: [dotWidth / 2, dotWidth / 2],
   });
@@ -418,41 +383,41 @@ function buildTafTimeline(taf) {
   // Build the visual timeline bar
   html += `<div class="taf-timeline">`;
 
-  // Separate base forecasts and change groups
-  const basePeriods = taf.fcsts.filter(f => !f.fcstChange);
-  const changeGroups = taf.fcsts.filter(f => f.fcstChange);
+  // Temporary change groups; BECMG is part of the prevailing bar
+  const changeGroups = taf.fcsts.filter(f => f.fcstChange === 'TEMPO' || f.fcstChange === 'PROB');
 
-  // Render base forecast periods as the main bar
+  // Prevailing conditions (base/FM periods with BECMG changes) as the main bar;
+  // BECMG transitions fade from the old to the new category
   html += `<div class="taf-bar">`;
-  for (const period of basePeriods) {
-    const from = period.timeFrom;
-    const to = period.timeTo;
-    const cat = getTafPeriodCategory(period);
-    const color = cat && FLIGHT_CATEGORIES[cat] ? FLIGHT_CATEGORIES[cat].color : NO_DATA_COLOR;
+  for (const seg of FlightCategory.getPrevailingSegments(taf)) {
+    const from = seg.timeFrom;
+    const to = seg.timeTo;
     const left = ((from - validFrom) / totalDuration) * 100;
     const width = ((to - from) / totalDuration) * 100;
+    const bg = seg.transition
+      ? `linear-gradient(90deg, ${categoryColor(seg.fromCat)}, ${categoryColor(seg.toCat)})`
+      : categoryColor(seg.cat);
+    const label = seg.transition ? `BECMG ${seg.fromCat || '?'} → ${seg.toCat || '?'}` : (seg.cat || '?');
 
-    html += `<div class="taf-bar-segment" style="left:${left}%;width:${width}%;background:${color};" title="${cat || '?'} ${fmtUtcShort(from)}-${fmtUtcShort(to)}"></div>`;
+    html += `<div class="taf-bar-segment" style="left:${left}%;width:${width}%;background:${bg};" title="${label} ${fmtUtcShort(from)}-${fmtUtcShort(to)}"></div>`;
   }
   html += `</div>`; // taf-bar
 
-  // Overlay TEMPO/BECMG/PROB as hatched segments
+  // Overlay TEMPO/PROB as hatched segments
   if (changeGroups.length > 0) {
     html += `<div class="taf-bar taf-bar-overlay">`;
     for (const period of changeGroups) {
       const from = period.timeFrom;
       const to = period.timeTo;
       const cat = getTafPeriodCategory(period);
-      const color = cat && FLIGHT_CATEGORIES[cat] ? FLIGHT_CATEGORIES[cat].color : 'transparent';
+      const color = categoryColor(cat, 'transparent');
       const left = ((from - validFrom) / totalDuration) * 100;
       const width = ((to - from) / totalDuration) * 100;
       const label = period.fcstChange + (period.probability ? ` ${period.probability}%` : '');
 
       if (color === 'transparent' && !period.wxString) continue;
 
-      const bgStyle = period.fcstChange === 'TEMPO' || period.fcstChange === 'PROB'
-        ? `background: repeating-linear-gradient(45deg, ${color}88, ${color}88 3px, ${color}44 3px, ${color}44 6px);`
-        : `background: ${color}88;`;
+      const bgStyle = `background: repeating-linear-gradient(45deg, ${color}88, ${color}88 3px, ${color}44 3px, ${color}44 6px);`;
 
       html += `<div class="taf-bar-segment taf-change" style="left:${left}%;width:${width}%;${bgStyle}" title="${label}: ${cat || '?'} ${fmtUtcShort(from)}-${fmtUtcShort(to)}${period.wxString ? ' ' + period.wxString : ''}"></div>`;
     }
@@ -481,7 +446,7 @@ function buildTafTimeline(taf) {
   html += `<div class="taf-details">`;
   for (const period of taf.fcsts) {
     const cat = getTafPeriodCategory(period);
-    const catColor = cat && FLIGHT_CATEGORIES[cat] ? FLIGHT_CATEGORIES[cat].color : '#999';
+    const catColor = categoryColor(cat, '#999');
     const changeLabel = period.fcstChange
       ? `<span class="taf-change-badge">${period.fcstChange}${period.probability ? ' ' + period.probability + '%' : ''}</span>`
       : '<span class="taf-change-badge taf-base">BASE</span>';
@@ -515,7 +480,7 @@ function buildTafTimeline(taf) {
     if (period.wdir != null && period.wspd != null) {
       let w = `Wind: ${String(period.wdir).padStart(3,'0')}°/${period.wspd}kt`;
       if (period.wgst) {
-        const gwClass = period.wgst >= GUST_WARNING_KT ? 'gust-warn' : '';
+        const gwClass = period.wgst >= settings.gustWarningKt ? 'gust-warn' : '';
         w += ` <span class="${gwClass}">G${period.wgst}</span>`;
       }
       details.push(w);
@@ -569,17 +534,23 @@ function buildForecastOutlook(icao) {
   for (const h of horizons) {
     const targetTime = nowSec + h.hours * 3600;
     const inRange = targetTime >= taf.validTimeFrom && targetTime < taf.validTimeTo;
-    const cat = inRange ? getForecastCategory(icao, targetTime) : null;
-    const color = cat && FLIGHT_CATEGORIES[cat] ? FLIGHT_CATEGORIES[cat].color : NO_DATA_COLOR;
+    const outlook = inRange ? getForecastOutlook(icao, targetTime) : null;
+    const cat = outlook ? outlook.cat : null;
+    const color = categoryColor(cat);
     const catLabel = cat || 'N/A';
+    const possible = possibleLabel(outlook);
+    const dotBorder = possible ? `border:2px dashed ${categoryColor(outlook.possibleCat)};` : '';
 
     const gustAt = inRange ? getForecastGustAt(icao, targetTime) : 0;
-    const gustWarnAt = gustAt >= GUST_WARNING_KT;
+    const gustWarnAt = gustAt >= settings.gustWarningKt;
 
     html += `<div class="forecast-outlook-item${inRange ? '' : ' forecast-outlook-na'}">`;
-    html += `<div class="forecast-outlook-dot" style="background:${color}"></div>`;
+    html += `<div class="forecast-outlook-dot" style="background:${color};${dotBorder}"></div>`;
     html += `<div class="forecast-outlook-label">${h.label}</div>`;
     html += `<div class="forecast-outlook-cat">${catLabel}</div>`;
+    if (possible) {
+      html += `<div class="forecast-outlook-possible" style="color:${categoryColor(outlook.possibleCat)}" title="Possible (PROB group)">${possible}</div>`;
+    }
     if (gustWarnAt) {
       html += `<div class="forecast-outlook-gust">G${gustAt}kt</div>`;
     }
@@ -596,11 +567,11 @@ function buildPopupContent(airport) {
   const icao = airport.icaoCode;
   const metar = metarData[icao];
   const taf = tafData[icao];
-  const catClass = getCategoryClass(icao);
+  const catColor = getMarkerColor(icao);
   const catLabel = getCategoryLabel(icao);
   const coords = airport.geometry?.coordinates || [];
   const elev = airport.elevation;
-  const isMajor = MAJOR_AIRPORTS.has(icao);
+  const isMajor = settings.majorAirports.has(icao);
 
   const tt = airport.trafficType || [];
   const hasVfr = tt.includes(0);
@@ -617,7 +588,12 @@ function buildPopupContent(airport) {
   }
 
   html += `<div class="badge-row">`;
-  html += `<span class="badge ${catClass}">${catLabel}</span>`;
+  html += `<span class="badge" style="background:${catColor}">${catLabel}</span>`;
+  const outlook = getDisplayOutlook(icao);
+  if (outlook && outlook.possibleCat) {
+    const possibleColor = categoryColor(outlook.possibleCat);
+    html += `<span class="badge possible-badge" style="color:${possibleColor};border-color:${possibleColor}" title="Possible (PROB group)">${possibleLabel(outlook)}</span>`;
+  }
   html += `<span class="badge type-badge">${trafficLabel}</span>`;
   if (hasGustWarning(icao)) {
     const maxG = getMaxGust(icao);
@@ -625,6 +601,10 @@ function buildPopupContent(airport) {
   }
   html += `</div>`;
 
+  if (tafBusts[icao]) {
+    html += `<div class="bust-warning"><strong>&#10007; TAF bust</strong> — ${bustExplanation(icao)}</div>`;
+  }
+
   // Forecast outlook row
   html += buildForecastOutlook(icao);
 
@@ -633,9 +613,9 @@ function buildPopupContent(airport) {
     html += `<div class="weather-section">`;
     html += `<div class="section-title">Current Weather (METAR)</div>`;
 
-    const cat = getFlightCategory(metar);
-    if (cat && FLIGHT_CATEGORIES[cat]) {
-      html += `<div class="detail-row"><span class="detail-label">Flight Cat.</span><span class="detail-value" style="color:${FLIGHT_CATEGORIES[cat].color};font-weight:700">${FLIGHT_CATEGORIES[cat].desc}</span></div>`;
+    const info = getCategoryInfo(getFlightCategory(metar));
+    if (info) {
+      html += `<div class="detail-row"><span class="detail-label">Flight Cat.</span><span class="detail-value" style="color:${info.color};font-weight:700">${info.desc}</span></div>`;
     }
 
     if (metar.visib != null) {
@@ -661,7 +641,7 @@ function buildPopupContent(airport) {
     if (metar.wdir != null && metar.wspd != null) {
       let windStr = `${String(metar.wdir).padStart(3, '0')}° / ${metar.wspd} kt`;
       if (metar.wgst) {
-        const gustClass = metar.wgst >= GUST_WARNING_KT ? ' gust-warn' : '';
+        const gustClass = metar.wgst >= settings.gustWarningKt ? ' gust-warn' : '';
         windStr += ` <span class="gust-value${gustClass}">(G${metar.wgst})</span>`;
       }
       html += `<div class="detail-row"><span class="detail-label">Wind</span><span class="detail-value">${windStr}</span></div>`;
@@ -774,11 +754,12 @@ function buildPopupContent(airport) {
 function displayAirports() {
   airportMarkers.forEach(m => map.removeLayer(m));
   airportMarkers = [];
-
-  let stats = { total: 0, VFR: 0, IFR: 0, nodata: 0 };
+  markersByIcao = new Map();
+  // Re-checked on every refresh and scheme change
+  detectTafBusts();
 
   const sorted = [...airportsData].sort((a, b) => {
-    return (MAJOR_AIRPORTS.has(a.icaoCode) ? 1 : 0) - (MAJOR_AIRPORTS.has(b.icaoCode) ? 1 : 0);
+    return (settings.majorAirports.has(a.icaoCode) ? 1 : 0) - (settings.majorAirports.has(b.icaoCode) ? 1 : 0);
   });
 
   sorted.forEach(airport => {
@@ -786,14 +767,14 @@ function displayAirports() {
     if (!coords || coords.length < 2) return;
 
     const icao = airport.icaoCode;
-    const isMajor = MAJOR_AIRPORTS.has(icao);
+    const isMajor = settings.majorAirports.has(icao);
     const trend = getTrendForAirport(icao);
     const gustWarn = hasGustWarning(icao);
     const gustValue = gustWarn ? getMaxGust(icao) : 0;
     const icon = createAirportIcon(icao, isMajor, trend, gustWarn, gustValue);
 
     const marker = L.marker([coords[1], coords[0]], {
-      icon, zIndexOffset: isMajor ? 1000 : 0,
+      icon, zIndexOffset: isMajor ? 1000 : 0, icao,
     });
 
     const isMobile = window.innerWidth <= 768;
@@ -824,28 +805,63 @@ function displayAirports() {
     });
 
     if (isMajor) {
-      const cat = getDisplayCategory(icao);
-      marker.bindTooltip(cat ? `${icao} (${cat})` : icao, {
+      marker.bindTooltip(majorAirportLabel(icao), {
         permanent: true, direction: 'top', offset: [0, -14], className: 'airport-label',
       });
     }
 
     marker.addTo(map);
     airportMarkers.push(marker);
+    if (icao) markersByIcao.set(icao, marker);
+  });
+
+  renderStatCounts();
+  updateRefreshInfo();
+}
+
+// Redraws only the given stations' markers; open popups re-render in place
+function updateAirportMarkers(icaos) {
+  detectTafBusts();
+  for (const icao of icaos) {
+    const marker = markersByIcao.get(icao);
+    if (!marker) continue;
+    const isMajor = settings.majorAirports.has(icao);
+    const gustWarn = hasGustWarning(icao);
+    const gustValue = gustWarn ? getMaxGust(icao) : 0;
+    marker.setIcon(createAirportIcon(icao, isMajor, getTrendForAirport(icao), gustWarn, gustValue));
+    if (isMajor) marker.setTooltipContent(majorAirportLabel(icao));
+    if (marker.isPopupOpen()) marker.getPopup().update();
+  }
+  renderStatCounts();
+  updateRefreshInfo();
+}
+
+function majorAirportLabel(icao) {
+  const outlook = getDisplayOutlook(icao);
+  const possible = possibleLabel(outlook);
+  return outlook ? `${icao} (${outlook.cat}${possible ? ', ' + possible : ''})` : icao;
+}
 
-    const cat = getDisplayCategory(icao);
+function renderStatCounts() {
+  const scheme = FlightCategory.getScheme();
+  let stats = { total: 0, nodata: 0 };
+  for (const c of scheme.categories) stats[c.id] = 0;
+  for (const marker of airportMarkers) {
+    const cat = getDisplayCategory(marker.options.icao);
     stats.total++;
     if (cat && stats[cat] != null) stats[cat]++;
     else stats.nodata++;
-  });
+  }
 
-  document.getElementById('statTotal').textContent = stats.total;
-  document.getElementById('statVfr').textContent = stats.VFR;
-  document.getElementById('statIfr').textContent = stats.IFR;
-  document.getElementById('statNodata').textContent = stats.nodata;
+  let countsHtml = `<div>Airports: <strong>${stats.total}</strong></div>`;
+  for (const c of scheme.categories) {
+    countsHtml += `<div style="color:${c.color}">${c.label}: <strong>${stats[c.id]}</strong></div>`;
+  }
+  countsHtml += `<div style="color:${NO_DATA_COLOR}">No WX: <strong>${stats.nodata}</strong></div>`;
+  const bustCount = Object.keys(tafBusts).length;
+  if (bustCount > 0) countsHtml += `<div class="stat-bust" title="Airports whose METAR is worse than their TAF allows">TAF busts: <strong>${bustCount}</strong></div>`;
+  document.getElementById('statCounts').innerHTML = countsHtml;
   document.getElementById('statsBar').style.display = 'flex';
-
-  updateRefreshInfo();
 }
 
 function formatTimestamp(date) {
@@ -883,7 +899,11 @@ function updateRefreshInfo() {
   const ageText = formatAge(apiAge);
   const stale = apiAge > 30 * 60 * 1000; // > 30 min = stale styling
 
-  const fullText = `${horizonText} | <span class="wx-timestamp${stale ? ' wx-stale' : ''}">WX data: ${timestampText} (${ageText})</span>`;
+  let fullText = `${horizonText} | <span class="wx-timestamp${stale ? ' wx-stale' : ''}">WX data: ${timestampText} (${ageText})</span>`;
+  if (liveState === 'live') {
+    const next = nextServerFetch ? ` Next server fetch ${formatTimestamp(new Date(nextServerFetch))}.` : '';
+    fullText += ` | <span class="wx-live" title="New reports appear as the server receives them.${next}">Live</span>`;
+  }
   if (el) el.innerHTML = fullText;
 
   // Short version for mobile header
@@ -944,7 +964,7 @@ function getCachedAirports() {
     const raw = localStorage.getItem(AIRPORT_CACHE_KEY);
     if (!raw) return null;
     const cached = JSON.parse(raw);
-    if (!cached.time || !cached.data) return null;
+    if (!cached.time || !cached.data || (cached.country || 'AT') !== settings.country) return null;
     if (Date.now() - cached.time > AIRPORT_CACHE_TTL) {
       localStorage.removeItem(AIRPORT_CACHE_KEY);
       return null;
@@ -959,7 +979,7 @@ function getCachedAirports() {
 
 function setCachedAirports(airports) {
   try {
-    localStorage.setItem(AIRPORT_CACHE_KEY, JSON.stringify({ data: airports, time: Date.now() }));
+    localStorage.setItem(AIRPORT_CACHE_KEY, JSON.stringify({ data: airports, time: Date.now(), country: settings.country }));
   } catch (e) {
     console.warn('Failed to cache airport data:', e.message);
   }
@@ -975,7 +995,7 @@ async function fetchAirports() {
   const limit = 100;
 
   while (true) {
-    const url = `${AIRPORTS_PROXY}?country=AT&page=${page}&limit=${limit}`;
+    const url = `${AIRPORTS_PROXY}?country=${settings.country}&page=${page}&limit=${limit}`;
     const response = await fetch(url);
     if (response.status === 401) throw new Error('NO_API_KEY');
     if (!response.ok) {
@@ -1020,6 +1040,117 @@ async function refreshWeather(force = false) {
   }
 }
 
+// ─── Server Config ─────────────────────────────────────────
+
+function applySettings(config) {
+  if (config.country) settings.country = config.country;
+  if (config.mapCenter) settings.mapCenter = config.mapCenter;
+  if (config.mapZoom) settings.mapZoom = config.mapZoom;
+  if (config.refreshIntervalMinutes) settings.refreshInterval = config.refreshIntervalMinutes * 60 * 1000;
+  if (config.gustWarningKt) settings.gustWarningKt = config.gustWarningKt;
+  if (config.majorAirports) settings.majorAirports = new Set(config.majorAirports);
+}
+
+// Fetches /api/config and applies the map settings; returns the response, or null if the server is unreachable
+async function loadServerConfig() {
+  let config;
+  try {
+    const res = await fetch('/api/config');
+    config = await res.json();
+  } catch (e) {
+    return null;
+  }
+  applySettings(config);
+  isAdmin = !!config.admin;
+  return config;
+}
+
+// After new settings: a new country reloads the airports (returns true), a new interval re-arms polling
+function settingsChanged(previous) {
+  if (settings.country !== previous.country) {
+    loadAirports();
+    return true;
+  }
+  if (settings.refreshInterval !== previous.refreshInterval && refreshTimer) {
+    stopPolling();
+    startPolling();
+  }
+  return false;
+}
+
+// Polling tick: pick up config changes first, so a new country or interval applies without a reload.
+// While the live stream delivers reports the tick is skipped; a quiet stream still polls, because
+// the server only fetches on its own schedule or when some client misses its cache.
+async function scheduledRefresh() {
+  if (liveState === 'live' && lastLiveUpdate && Date.now() - lastLiveUpdate < settings.refreshInterval) return;
+  const previous = { country: settings.country, refreshInterval: settings.refreshInterval };
+  await loadServerConfig();
+  if (settingsChanged(previous)) return;
+  refreshWeather();
+}
+
+function startPolling() {
+  if (!refreshTimer) refreshTimer = setInterval(scheduledRefresh, settings.refreshInterval);
+}
+
+function stopPolling() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+// ─── Live Updates ──────────────────────────────────────────
+// /api/events announces new reports as the server gets them; polling takes over while the stream is down
+
+function connectLiveUpdates() {
+  if (!window.EventSource || eventSource) return;
+  eventSource = new EventSource('/api/events');
+
+  eventSource.addEventListener('open', () => {
+    // Events sent while disconnected are lost, so catch up once
+    if (liveState === 'lost') refreshWeather();
+    liveState = 'live';
+    updateRefreshInfo();
+  });
+
+  eventSource.addEventListener('error', () => {
+    if (liveState === 'live') console.warn('Live updates lost, polling until the stream is back');
+    liveState = 'lost';
+    updateRefreshInfo();
+    // The browser reconnects by itself unless the server refused the stream
+    if (eventSource.readyState === EventSource.CLOSED) {
+      eventSource = null;
+      setTimeout(connectLiveUpdates, LIVE_RETRY_INTERVAL);
+    }
+  });
+
+  eventSource.addEventListener('weather', (e) => {
+    updateStations(JSON.parse(e.data)).catch(err => console.warn('Live update failed:', err));
+  });
+
+  eventSource.addEventListener('scheduler', (e) => {
+    nextServerFetch = JSON.parse(e.data).nextFetchAt;
+    updateRefreshInfo();
+  });
+
+  eventSource.addEventListener('config', (e) => {
+    const previous = { country: settings.country, refreshInterval: settings.refreshInterval };
+    applySettings(JSON.parse(e.data));
+    if (!settingsChanged(previous) && airportsData.length > 0) displayAirports();
+  });
+}
+
+// Re-reads the announced stations that are on the map (served from the server cache)
+async function updateStations({ type, stations }) {
+  const shown = stations.filter(icao => markersByIcao.has(icao));
+  if (shown.length === 0) return;
+  const result = type === 'metar' ? await fetchMetar(shown) : await fetchTaf(shown);
+  Object.assign(type === 'metar' ? metarData : tafData, result.data);
+  if (result.fetchTime) lastApiFetch = result.fetchTime;
+  lastWeatherFetch = new Date();
+  lastLiveUpdate = Date.now();
+  updateAirportMarkers(shown);
+}
+
 // ─── Main Load ─────────────────────────────────────────────
 
 function showError(message) {
@@ -1062,8 +1193,9 @@ async function loadAirports() {
 
     displayAirports();
 
-    if (refreshTimer) clearInterval(refreshTimer);
-    refreshTimer = setInterval(refreshWeather, METAR_REFRESH_INTERVAL);
+    stopPolling();
+    startPolling();
+    connectLiveUpdates();
 
     // Update age display every 10 seconds
     if (ageTimer) clearInterval(ageTimer);
@@ -1084,21 +1216,81 @@ async function loadAirports() {
 
 // ─── Init ──────────────────────────────────────────────────
 
+// ─── Category Scheme Selection ─────────────────────────────
+
+function renderLegend() {
+  let html = '';
+  for (const c of FlightCategory.getScheme().categories) {
+    html += `<div class="legend-item" title="${c.desc}"><div class="legend-dot" style="background:${c.color}"></div> ${c.label}</div>`;
+  }
+  if (forecastMode === 'probabilistic') {
+    const categories = FlightCategory.getScheme().categories;
+    const worst = categories[categories.length - 1];
+    html += `<div class="legend-item" title="Dashed border: ${worst.label} possible (PROB30/PROB40)"><div class="legend-dot" style="background:white;border:2px dashed ${worst.color}"></div> Possible</div>`;
+  }
+  html += `<div class="legend-item"><div class="legend-dot" style="background:${NO_DATA_COLOR}"></div> No WX</div>`;
+  document.getElementById('legend').innerHTML = html;
+}
+
+function applyScheme(id) {
+  if (!FlightCategory.setDefaultScheme(id)) return;
+  localStorage.setItem(SCHEME_STORAGE_KEY, id);
+  renderLegend();
+  if (airportsData.length > 0) displayAirports();
+}
+
+// Custom schemes are defined in the server config; built-ins already ship with flight-category.js
+async function initSchemes() {
+  const select = document.getElementById('schemeSelect');
+  try {
+    const res = await fetch('/api/schemes');
+    const data = await res.json();
+    for (const scheme of data.schemes) {
+      if (scheme.builtin) continue;
+      try { FlightCategory.registerScheme(scheme); } catch (e) { console.warn(e.message); }
+    }
+  } catch (e) { /* server unreachable — built-in schemes only */ }
+
+  for (const scheme of FlightCategory.listSchemes()) {
+    const opt = document.createElement('option');
+    opt.value = scheme.id;
+    opt.textContent = scheme.name;
+    select.appendChild(opt);
+  }
+
+  const saved = localStorage.getItem(SCHEME_STORAGE_KEY);
+  if (saved && FlightCategory.hasScheme(saved)) FlightCategory.setDefaultScheme(saved);
+  select.value = FlightCategory.getDefaultSchemeId();
+  select.addEventListener('change', () => applyScheme(select.value));
+  renderLegend();
+}
+
+// Worst case folds TEMPO and PROB groups into the category; probabilistic keeps PROB as "possible"
+function initForecastMode() {
+  const select = document.getElementById('forecastModeSelect');
+  if (localStorage.getItem(FORECAST_MODE_KEY) === 'probabilistic') forecastMode = 'probabilistic';
+  select.value = forecastMode;
+  select.addEventListener('change', () => {
+    forecastMode = select.value;
+    localStorage.setItem(FORECAST_MODE_KEY, forecastMode);
+    renderLegend();
+    if (airportsData.length > 0) displayAirports();
+  });
+}
+
 async function init() {
+  // Map settings and whether the server has an API key configured
+  const config = await loadServerConfig();
+  const serverHasKey = !!config?.hasKey;
+
   initMap();
+  initForecastMode();
+  await initSchemes();
 
   const overlay = document.getElementById('apiKeyOverlay');
   const input = document.getElementById('apiKeyInput');
   const submit = document.getElementById('apiKeySubmit');
 
-  // Check if server has an API key configured
-  let serverHasKey = false;
-  try {
-    const res = await fetch('/api/config');
-    const config = await res.json();
-    serverHasKey = config.hasKey;
-  } catch (e) { /* server unreachable */ }
-
   if (serverHasKey) {
     overlay.style.display = 'none';
     loadAirports();
@@ -1212,14 +1404,15 @@ async function init() {
     }, { passive: true });
   }
 
-  // Refresh weather button — forces a fresh fetch from AWC API (bypasses server cache)
+  // Refresh weather button — admins force a fresh fetch from AWC API (bypasses server cache),
+  // everyone else gets the server's current data
   async function handleRefresh() {
     const btn = document.getElementById('refreshBtn');
     const hdrBtn = document.getElementById('headerRefreshBtn');
     btn.disabled = true;
     btn.textContent = 'Fetching...';
     if (hdrBtn) { hdrBtn.disabled = true; hdrBtn.textContent = '...'; }
-    await refreshWeather(true);
+    await refreshWeather(isAdmin);
     btn.disabled = false;
     btn.textContent = '\u21BB Refresh WX';
     if (hdrBtn) { hdrBtn.disabled = false; hdrBtn.textContent = '\u21BB'; }
@@ -1294,6 +1487,48 @@ style.textContent = `
     color: white !important;
     font-weight: 700;
   }
+  .possible-badge {
+    background: white !important;
+    border: 2px dashed;
+  }
+
+  /* TAF Bust */
+  .bust-label {
+    position: absolute;
+    bottom: -9px;
+    right: -22px;
+    background: #6c3483;
+    color: white;
+    font-size: 8px;
+    font-weight: 800;
+    padding: 1px 3px;
+    border-radius: 3px;
+    border: 1.5px solid white;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+    white-space: nowrap;
+    line-height: 1.2;
+    pointer-events: none;
+    z-index: 10;
+  }
+  .bust-label-major {
+    font-size: 9px;
+    padding: 1px 4px;
+    bottom: -11px;
+    right: -26px;
+  }
+  .bust-warning {
+    background: #f5eef8;
+    border-left: 3px solid #6c3483;
+    border-radius: 4px;
+    padding: 6px 8px;
+    margin: 6px 0;
+    font-size: 11px;
+    line-height: 1.4;
+    color: #4a235a;
+  }
+  .stat-bust {
+    color: #6c3483;
+  }
   .gust-value.gust-warn {
     color: #e67e22;
     font-weight: 700;
@@ -1517,6 +1752,11 @@ style.textContent = `
   .forecast-outlook-na {
     opacity: 0.35;
   }
+  .forecast-outlook-possible {
+    font-size: 8px;
+    font-weight: 700;
+    margin-top: -1px;
+  }
 
   /* Refresh button & data age */
   .refresh-btn {
@@ -1546,6 +1786,10 @@ style.textContent = `
     color: #e67e22;
     font-weight: 600;
   }
+  .wx-live {
+    color: #27ae60;
+    font-weight: 600;
+  }
   .wx-api-time {
     color: #27ae60;
     font-weight: 500;
@@ -0,0 +1,431 @@
+// Flight category engine shared by server.js (require) and app.js (plain <script>, global `FlightCategory`)
+// Categories come from named schemes (Austrian VFR/IFR by default, FAA, custom). Works on the AWC JSON shape: clouds [{cover, base}], visib in SM ("6+" = more than 6 SM),
+// TAF fcsts with fcstChange null / FM / BECMG / TEMPO / PROB.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FlightCategory = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  // ICAO/Austrian VFR: ceiling > 1500 ft AND visibility > 5 km (~3.107 SM)
+  const VFR_CEIL = 1500;
+  const VFR_VIS_SM = 5 / 1.60934; // 5 km in statute miles
+  const KM_PER_SM = 1.60934;
+  // AWC rounds visibility to 0.01 SM, so a reported 5000 m arrives as 3.11 SM
+  const VIS_ROUNDING_SM = 0.005;
+
+  // ─── Category Schemes ───────────────────────────────────
+  // A scheme lists its categories best first. A report gets the first category whose
+  // ceiling AND visibility conditions both hold; the last category is the fallback.
+  // Conditions are [operator, limit] with operator '>' or '>=' (ceiling in ft, vis in SM).
+
+  const BUILTIN_SCHEMES = [
+    {
+      id: 'austria',
+      name: 'Austria (VFR/IFR)',
+      categories: [
+        { id: 'VFR', label: 'VFR', desc: 'Visual Flight Rules', color: '#2ecc71', ceiling: ['>', VFR_CEIL], vis: ['>', VFR_VIS_SM] },
+        { id: 'IFR', label: 'IFR', desc: 'Instrument Flight Rules', color: '#e74c3c' },
+      ],
+    },
+    {
+      id: 'faa',
+      name: 'FAA (VFR/MVFR/IFR/LIFR)',
+      categories: [
+        { id: 'VFR', label: 'VFR', desc: 'Visual Flight Rules', color: '#2ecc71', ceiling: ['>', 3000], vis: ['>', 5] },
+        { id: 'MVFR', label: 'MVFR', desc: 'Marginal Visual Flight Rules', color: '#3498db', ceiling: ['>=', 1000], vis: ['>=', 3] },
+        { id: 'IFR', label: 'IFR', desc: 'Instrument Flight Rules', color: '#e74c3c', ceiling: ['>=', 500], vis: ['>=', 1] },
+        { id: 'LIFR', label: 'LIFR', desc: 'Low Instrument Flight Rules', color: '#9b59b6' },
+      ],
+    },
+  ];
+
+  const DEFAULT_SCHEME = 'austria';
+  const schemes = new Map();
+  let defaultSchemeId = DEFAULT_SCHEME;
+
+  // Returns a list of problems with a scheme definition (empty if valid)
+  function validateScheme(def) {
+    const errors = [];
+    if (!def || typeof def !== 'object') return ['scheme must be an object'];
+    if (typeof def.id !== 'string' || !/^[a-z0-9_-]+$/i.test(def.id)) errors.push('id must be a non-empty word (letters, digits, - or _)');
+    if (!Array.isArray(def.categories) || def.categories.length < 2) {
+      errors.push('categories must list at least two categories, best first');
+      return errors;
+    }
+    const seen = new Set();
+    def.categories.forEach((c, i) => {
+      const where = `categories[${i}]`;
+      if (!c || typeof c.id !== 'string' || !c.id) { errors.push(`${where}.id is required`); return; }
+      if (seen.has(c.id)) errors.push(`${where}.id "${c.id}" is duplicated`);
+      seen.add(c.id);
+      if (typeof c.color !== 'string' || !/^#[0-9a-f]{3,8}$/i.test(c.color)) errors.push(`${where}.color must be a hex colour`);
+      const isLast = i === def.categories.length - 1;
+      const conditions = ['ceiling', 'vis', 'visKm'].filter(k => c[k] != null);
+      if (!isLast && conditions.length === 0) errors.push(`${where} needs a ceiling, vis or visKm condition`);
+      for (const k of conditions) {
+        const cond = c[k];
+        if (!Array.isArray(cond) || cond.length !== 2 || (cond[0] !== '>' && cond[0] !== '>=') || typeof cond[1] !== 'number') {
+          errors.push(`${where}.${k} must be ['>' or '>=', number]`);
+        }
+      }
+      if (c.vis != null && c.visKm != null) errors.push(`${where} has both vis and visKm`);
+    });
+    return errors;
+  }
+
+  // Validates and stores a scheme (replacing one with the same id); throws on invalid definitions
+  function registerScheme(def) {
+    const errors = validateScheme(def);
+    if (errors.length > 0) throw new Error(`Invalid category scheme ${def && def.id ? `"${def.id}"` : ''}: ${errors.join('; ')}`);
+    const scheme = {
+      id: def.id,
+      name: def.name || def.id,
+      builtin: !!def.builtin,
+      categories: def.categories.map(c => ({
+        id: c.id,
+        label: c.label || c.id,
+        desc: c.desc || c.label || c.id,
+        color: c.color,
+        ceiling: c.ceiling || null,
+        vis: c.visKm ? [c.visKm[0], c.visKm[1] / KM_PER_SM] : (c.vis || null),
+      })),
+    };
+    scheme.severity = {};
+    scheme.categories.forEach((c, i) => { scheme.severity[c.id] = i; });
+    schemes.set(scheme.id, scheme);
+    return scheme;
+  }
+
+  BUILTIN_SCHEMES.forEach(def => registerScheme({ ...def, builtin: true }));
+
+  // Accepts a scheme object, a scheme id or nothing (= current default)
+  function getScheme(scheme) {
+    if (scheme && typeof scheme === 'object') return scheme;
+    return schemes.get(scheme || defaultSchemeId) || schemes.get(DEFAULT_SCHEME);
+  }
+
+  function hasScheme(id) {
+    return schemes.has(id);
+  }
+
+  function listSchemes() {
+    return [...schemes.values()];
+  }
+
+  // The browser switches the active scheme here; the server keeps the Austrian default
+  function setDefaultScheme(id) {
+    if (!schemes.has(id)) return false;
+    defaultSchemeId = id;
+    return true;
+  }
+
+  function getDefaultSchemeId() {
+    return defaultSchemeId;
+  }
+
+  // Display info { id, label, desc, color } of a category in a scheme, or null
+  function getCategoryInfo(cat, scheme) {
+    if (!cat) return null;
+    return getScheme(scheme).categories.find(c => c.id === cat) || null;
+  }
+
+  // 0 = best; unknown categories count as best
+  function categorySeverity(cat, scheme) {
+    return getScheme(scheme).severity[cat] || 0;
+  }
+
+  // Severity order of the default Austrian scheme
+  const CATEGORY_SEVERITY = { ...schemes.get(DEFAULT_SCHEME).severity };
+
+  // Parse visibility — AWC uses "6+" to mean > 6 SM
+  function parseVisibility(visibSM) {
+    if (visibSM == null || visibSM === '') return null;
+    if (typeof visibSM === 'string') {
+      return visibSM.includes('+') ? parseFloat(visibSM) + 0.1 : parseFloat(visibSM);
+    }
+    return visibSM;
+  }
+
+  // Missing values (no ceiling, no visibility reported) never fail a condition
+  function meets(value, cond, tolerance) {
+    if (!cond || value == null) return true;
+    return cond[0] === '>' ? value > cond[1] + tolerance : value >= cond[1];
+  }
+
+  // Compute flight category from ceiling (ft AGL) and visibility (SM)
+  function computeFlightCategory(ceilingFt, visibSM, scheme) {
+    const s = getScheme(scheme);
+    const vis = parseVisibility(visibSM);
+    const cats = s.categories;
+    for (let i = 0; i < cats.length - 1; i++) {
+      if (meets(ceilingFt, cats[i].ceiling, 0) && meets(vis, cats[i].vis, VIS_ROUNDING_SM)) return cats[i].id;
+    }
+    return cats[cats.length - 1].id;
+  }
+
+  // Ceiling = lowest BKN/OVC layer or vertical visibility (OVX)
+  function getCeilingFromClouds(clouds) {
+    if (!clouds || !Array.isArray(clouds)) return null;
+    for (const c of clouds) {
+      if (c.cover === 'BKN' || c.cover === 'OVC' || c.cover === 'OVX') {
+        return c.base;
+      }
+    }
+    return null;
+  }
+
+  function getLowestCloudBase(clouds) {
+    if (!clouds || !Array.isArray(clouds)) return null;
+    let lowest = null;
+    for (const c of clouds) {
+      if (c.base != null && (lowest === null || c.base < lowest)) {
+        lowest = c.base;
+      }
+    }
+    return lowest;
+  }
+
+  function getFlightCategory(metar, scheme) {
+    if (!metar) return null;
+    return computeFlightCategory(getCeilingFromClouds(metar.clouds), metar.visib, scheme);
+  }
+
+  // Category of a single TAF period; null if it says nothing about ceiling or visibility
+  function getTafPeriodCategory(period, scheme) {
+    const ceiling = getCeilingFromClouds(period.clouds);
+    const vis = period.visib;
+    if (ceiling == null && (vis == null || vis === '')) return null;
+    return computeFlightCategory(ceiling, vis, scheme);
+  }
+
+  function worseCat(a, b, scheme) {
+    if (!a) return b;
+    if (!b) return a;
+    return categorySeverity(a, scheme) >= categorySeverity(b, scheme) ? a : b;
+  }
+
+  // Base forecast = initial period and FM periods (each replaces the previous one)
+  function isBasePeriod(f) {
+    return !f.fcstChange || f.fcstChange === 'FM';
+  }
+
+  // ─── BECMG Transitions ──────────────────────────────────
+  // ICAO Annex 3: a BECMG group changes only the elements it mentions. While the change
+  // is in progress (timeFrom → timeBec) either state may prevail; once complete the new
+  // elements replace the old ones until the next FM period.
+
+  function becmgEnd(cg) {
+    return cg.timeBec || cg.timeTo;
+  }
+
+  function conditionsOf(period) {
+    return {
+      wdir: period.wdir ?? null, wspd: period.wspd ?? null, wgst: period.wgst ?? null,
+      visib: period.visib ?? null, clouds: period.clouds || [], wxString: period.wxString ?? null,
+    };
+  }
+
+  // Conditions after a BECMG group: mentioned elements replace the previous ones
+  function applyBecmg(prev, cg) {
+    const next = { ...prev };
+    if (cg.wspd != null) {
+      next.wdir = cg.wdir ?? null;
+      next.wspd = cg.wspd;
+      next.wgst = cg.wgst ?? null;
+    }
+    if (cg.visib != null && cg.visib !== '') next.visib = cg.visib;
+    if ((cg.clouds && cg.clouds.length > 0) || cg.cavok || cg.skyCondition) next.clouds = cg.clouds || [];
+    if (cg.wxString) next.wxString = cg.wxString === 'NSW' ? null : cg.wxString;
+    if (cg.cavok) next.wxString = null;
+    return next;
+  }
+
+  // BECMG groups belonging to a base/FM period, in time order
+  function becmgGroupsOf(taf, base) {
+    return taf.fcsts
+      .filter(f => f.fcstChange === 'BECMG' && f.timeFrom >= base.timeFrom && f.timeFrom < base.timeTo)
+      .sort((a, b) => a.timeFrom - b.timeFrom);
+  }
+
+  // Possible prevailing conditions at t (TEMPO/PROB not included): one entry normally,
+  // before and after states while a BECMG is in progress. Empty if no base period covers t.
+  function getPrevailingStates(taf, t) {
+    const base = taf.fcsts.find(f => isBasePeriod(f) && f.timeFrom <= t && t < f.timeTo);
+    if (!base) return [];
+    let states = [conditionsOf(base)];
+    for (const cg of becmgGroupsOf(taf, base)) {
+      if (cg.timeFrom > t) break;
+      const after = states.map(st => applyBecmg(st, cg));
+      states = t < becmgEnd(cg) ? [...states, ...after] : after;
+    }
+    return states;
+  }
+
+  function worstStateCategory(states, scheme) {
+    let cat = null;
+    for (const st of states) cat = worseCat(cat, getTafPeriodCategory(st, scheme), scheme);
+    return cat;
+  }
+
+  // Forecast category at targetTime (unix seconds); null outside the TAF validity
+  function getForecastCategoryFromTaf(taf, targetTime, scheme) {
+    if (!taf || !taf.fcsts || taf.fcsts.length === 0) return null;
+    if (targetTime < taf.validTimeFrom || targetTime >= taf.validTimeTo) return null;
+
+    // Base/FM period with BECMG changes — worse of old and new during a transition
+    let worstCat = worstStateCategory(getPrevailingStates(taf, targetTime), scheme);
+
+    // Overlay TEMPO/PROB groups — worst case
+    for (const cg of taf.fcsts) {
+      if (isBasePeriod(cg) || cg.fcstChange === 'BECMG') continue;
+      if (cg.timeFrom <= targetTime && targetTime < cg.timeTo) {
+        worstCat = worseCat(worstCat, getTafPeriodCategory(cg, scheme), scheme);
+      }
+    }
+
+    return worstCat;
+  }
+
+  // ─── Probabilistic Outlook ──────────────────────────────
+  // Alternative to the worst case: TEMPO groups without a probability still count as
+  // forecast, PROB30/PROB40 (also PROB TEMPO) only as a possibility.
+
+  // { cat, possibleCat, probability } at targetTime; possibleCat only when worse than cat.
+  // worseCat(cat, possibleCat) equals getForecastCategoryFromTaf. null outside the TAF validity.
+  function getForecastOutlookFromTaf(taf, targetTime, scheme) {
+    if (!taf || !taf.fcsts || taf.fcsts.length === 0) return null;
+    if (targetTime < taf.validTimeFrom || targetTime >= taf.validTimeTo) return null;
+
+    let cat = worstStateCategory(getPrevailingStates(taf, targetTime), scheme);
+    let possibleCat = null;
+    let probability = null;
+    for (const cg of taf.fcsts) {
+      if (isBasePeriod(cg) || cg.fcstChange === 'BECMG') continue;
+      if (targetTime < cg.timeFrom || targetTime >= cg.timeTo) continue;
+      const c = getTafPeriodCategory(cg, scheme);
+      if (!c) continue;
+      if (!cg.probability) {
+        cat = worseCat(cat, c, scheme);
+      } else if (!possibleCat || categorySeverity(c, scheme) > categorySeverity(possibleCat, scheme)) {
+        possibleCat = c;
+        probability = cg.probability;
+      } else if (c === possibleCat && cg.probability > probability) {
+        probability = cg.probability;
+      }
+    }
+    if (possibleCat && cat && categorySeverity(possibleCat, scheme) <= categorySeverity(cat, scheme)) {
+      possibleCat = null;
+      probability = null;
+    }
+    return { cat, possibleCat, probability };
+  }
+
+  // Prevailing category over the TAF validity as [{ timeFrom, timeTo, cat, transition, fromCat, toCat }],
+  // split at FM and BECMG boundaries (TEMPO/PROB not included) — used for the TAF timeline bar
+  function getPrevailingSegments(taf, scheme) {
+    if (!taf || !taf.fcsts) return [];
+    const segments = [];
+    for (const base of taf.fcsts.filter(isBasePeriod)) {
+      const cuts = new Set([base.timeFrom, base.timeTo]);
+      for (const cg of becmgGroupsOf(taf, base)) {
+        cuts.add(cg.timeFrom);
+        cuts.add(Math.min(becmgEnd(cg), base.timeTo));
+      }
+      const times = [...cuts].sort((a, b) => a - b);
+      for (let i = 0; i < times.length - 1; i++) {
+        const states = getPrevailingStates(taf, times[i]);
+        const seg = {
+          timeFrom: times[i],
+          timeTo: times[i + 1],
+          cat: worstStateCategory(states, scheme),
+          transition: states.length > 1,
+          fromCat: states.length > 0 ? getTafPeriodCategory(states[0], scheme) : null,
+          toCat: states.length > 0 ? getTafPeriodCategory(states[states.length - 1], scheme) : null,
+        };
+        const prev = segments[segments.length - 1];
+        if (prev && !prev.transition && !seg.transition && prev.cat === seg.cat && prev.timeTo === seg.timeFrom) {
+          prev.timeTo = seg.timeTo;
+        } else {
+          segments.push(seg);
+        }
+      }
+    }
+    return segments;
+  }
+
+  // TAF bust: the METAR is worse than anything the TAF allows at t — the prevailing
+  // conditions (both sides of a BECMG in progress) and every TEMPO/PROB group count.
+  // Returns { observed, forecast } with forecast = the worst category allowed, else null
+  // (no bust, TAF not valid at t, or no category on either side).
+  function getTafBust(metar, taf, t, scheme) {
+    if (!metar) return null;
+    const forecast = getForecastCategoryFromTaf(taf, t, scheme);
+    if (!forecast) return null;
+    const observed = getFlightCategory(metar, scheme);
+    if (!observed || categorySeverity(observed, scheme) <= categorySeverity(forecast, scheme)) return null;
+    return { observed, forecast };
+  }
+
+  // Forecast wind and ceiling at targetTimeSec: base/FM period with BECMG changes
+  // (worst of old and new during a transition), then worst case of active TEMPO/PROB groups
+  function getForecastWeatherFromTaf(taf, targetTimeSec) {
+    if (!taf || !taf.fcsts || taf.fcsts.length === 0) return null;
+    if (targetTimeSec < taf.validTimeFrom || targetTimeSec >= taf.validTimeTo) return null;
+
+    const result = { wspd: null, wgst: null, wdir: null, ceiling: null };
+
+    // Worst case over the possible prevailing states (highest wind, lowest ceiling)
+    for (const st of getPrevailingStates(taf, targetTimeSec)) {
+      if (st.wspd != null && (result.wspd == null || st.wspd > result.wspd)) {
+        result.wspd = st.wspd;
+        result.wdir = st.wdir;
+      }
+      if (st.wgst != null && (result.wgst == null || st.wgst > result.wgst)) result.wgst = st.wgst;
+      const ceiling = getCeilingFromClouds(st.clouds);
+      if (ceiling != null && (result.ceiling == null || ceiling < result.ceiling)) result.ceiling = ceiling;
+    }
+
+    // TEMPO/PROB groups: worst case (highest wind, lowest ceiling)
+    for (const cg of taf.fcsts) {
+      if (isBasePeriod(cg) || cg.fcstChange === 'BECMG') continue;
+      if (cg.timeFrom <= targetTimeSec && targetTimeSec < cg.timeTo) {
+        if (cg.wspd != null && (result.wspd == null || cg.wspd > result.wspd)) result.wspd = cg.wspd;
+        if (cg.wgst != null && (result.wgst == null || cg.wgst > result.wgst)) result.wgst = cg.wgst;
+        const tempoCeiling = getCeilingFromClouds(cg.clouds);
+        if (tempoCeiling != null && (result.ceiling == null || tempoCeiling < result.ceiling)) result.ceiling = tempoCeiling;
+      }
+    }
+
+    return result;
+  }
+
+  return {
+    VFR_CEIL,
+    VFR_VIS_SM,
+    CATEGORY_SEVERITY,
+    DEFAULT_SCHEME,
+    validateScheme,
+    registerScheme,
+    getScheme,
+    hasScheme,
+    listSchemes,
+    setDefaultScheme,
+    getDefaultSchemeId,
+    getCategoryInfo,
+    categorySeverity,
+    parseVisibility,
+    computeFlightCategory,
+    getCeilingFromClouds,
+    getLowestCloudBase,
+    getFlightCategory,
+    getTafPeriodCategory,
+    worseCat,
+    getPrevailingStates,
+    getForecastCategoryFromTaf,
+    getForecastOutlookFromTaf,
+    getPrevailingSegments,
+    getTafBust,
+    getForecastWeatherFromTaf,
+  };
+});
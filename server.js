@@ -6,17 +6,26 @@ const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const zlib = require('zlib');
 const { DatabaseSync } = require('node:sqlite');
+const { decodeMetar, decodeTaf } = require('./wx-decoder');
+const {
+  computeFlightCategory, getCeilingFromClouds, getLowestCloudBase, getFlightCategory,
+  getForecastCategoryFromTaf, getForecastOutlookFromTaf, getForecastWeatherFromTaf,
+  getTafBust, parseVisibility, DEFAULT_SCHEME, hasScheme, registerScheme, listSchemes, getScheme, categorySeverity,
+} = require('./flight-category');
 
-const PORT = process.env.PORT || 5556;
 const VERBOSE = process.argv.includes('--verbose') || process.argv.includes('-v');
 const PURGE_ON_START = process.argv.includes('--purge');
-const WEATHER_CACHE_TTL = 60 * 60 * 1000; // 1 hour
 const AIRPORT_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
 const CACHE_FILE = path.join(__dirname, 'data', '.cache.json');
 const HISTORY_DB_PATH = path.join(__dirname, 'data', 'weather_history.db');
-const HISTORY_FETCH_INTERVAL = 2 * 60 * 60 * 1000; // 2 hours
-const HISTORY_RETENTION_DAYS = 3 * 365; // ~1095 days
+const BACKFILL_MAX_HOURS = 15 * 24; // aviationweather.gov serves METARs of about the last 15 days
+const HISTORY_RETENTION_DAYS = 3 * 365; // ~1095 days, default for --purge
+const RETENTION_INTERVAL = 24 * 60 * 60 * 1000; // daily
+const COMPACTION_INTERVAL = 24 * 60 * 60 * 1000; // daily
 const PURGE_OLDER_THAN_DAYS = (() => {
   const idx = process.argv.indexOf('--older-than');
   if (idx === -1 || idx + 1 >= process.argv.length) return HISTORY_RETENTION_DAYS;
@@ -26,12 +35,75 @@ const PURGE_OLDER_THAN_DAYS = (() => {
 const AIRPORT_LIST_REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000; // 7 days
 const LOG_FILE = path.join(__dirname, 'data', 'server.log');
 const LOG_MAX_ENTRIES = 200; // max entries returned via API
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'data', 'fixtures');
+
+// --record [dir] saves every upstream response as a fixture, --replay [dir] serves them instead of the network
+function fixtureDirArg(flag) {
+  const idx = process.argv.indexOf(flag);
+  if (idx === -1) return null;
+  const next = process.argv[idx + 1];
+  return path.resolve(next && !next.startsWith('-') ? next : DEFAULT_FIXTURE_DIR);
+}
+const RECORD_DIR = fixtureDirArg('--record');
+const REPLAY_DIR = fixtureDirArg('--replay');
+if (RECORD_DIR && REPLAY_DIR) {
+  console.error('--record and --replay cannot be combined');
+  process.exit(1);
+}
+
+// ─── Configuration ──────────────────────────────────────────
+// Every setting is declared once in CONFIG_SCHEMA. The effective value is the environment
+// variable if set, else data/config.json, else the default; invalid values are reported and
+// replaced by the default. config.json is re-read when it changes: settings marked `restart`
+// keep their startup value until the next start, all others apply at once. `client` settings
+// are what browsers get from GET /api/config.
 
-// Persistent config stored in data/config.json
 const CONFIG_PATH = path.join(__dirname, 'data', 'config.json');
+const CONFIG_WATCH_INTERVAL = 2000; // ms between config.json mtime checks
+
+const CONFIG_SCHEMA = {
+  port: { type: 'integer', min: 1, max: 65535, default: 5556, env: 'PORT', restart: true },
+  country: { type: 'string', pattern: /^[A-Z]{2}$/, default: 'AT', env: 'COUNTRY', client: true },
+  mapCenter: { type: 'latLon', default: [47.85, 16.26], env: 'MAP_CENTER', client: true }, // LOAV Bad Vöslau
+  mapZoom: { type: 'integer', min: 1, max: 18, default: 10, env: 'MAP_ZOOM', client: true },
+  majorAirports: { type: 'icaoList', default: ['LOWW', 'LOWS', 'LOWG', 'LOWI', 'LOWK', 'LOWL', 'LOAV'], env: 'MAJOR_AIRPORTS', client: true },
+  gustWarningKt: { type: 'integer', min: 1, max: 100, default: 20, env: 'GUST_WARNING_KT', client: true },
+  refreshIntervalMinutes: { type: 'number', min: 1, default: 30, env: 'REFRESH_INTERVAL_MINUTES', client: true },
+  weatherCacheTtlMinutes: { type: 'number', min: 1, default: 60, env: 'WEATHER_CACHE_TTL_MINUTES' },
+  // Expired METAR/TAF entries are still served (X-Cache: STALE) up to this age while a refresh runs
+  weatherMaxStaleMinutes: { type: 'number', min: 0, default: 6 * 60, env: 'WEATHER_MAX_STALE_MINUTES' },
+  historyFetchIntervalMinutes: { type: 'number', min: 10, default: 120, env: 'HISTORY_FETCH_INTERVAL_MINUTES' },
+  openaipApiKey: { type: 'string', default: null, env: 'OPENAIP_API_KEY', secret: true },
+  awcBaseUrl: { type: 'url', default: 'https://aviationweather.gov', env: 'AWC_BASE_URL' },
+  openaipBaseUrl: { type: 'url', default: 'https://api.core.openaip.net', env: 'OPENAIP_BASE_URL' },
+  categorySchemes: { type: 'array', default: [], restart: true }, // checked by registerScheme()
+  compactAfterDays: { type: 'integer', min: 1, default: 90, env: 'COMPACT_AFTER_DAYS' },
+  compactHourlyMetars: { type: 'boolean', default: false, env: 'COMPACT_HOURLY_METARS' },
+  retention: { type: 'object', default: {} }, // checked by getRetentionPolicy()
+  backupDir: { type: 'string', default: 'data/backups', env: 'BACKUP_DIR' },
+  backupIntervalHours: { type: 'number', min: 0, default: 24, env: 'BACKUP_INTERVAL_HOURS', restart: true },
+  backupKeep: { type: 'integer', min: 1, default: 7, env: 'BACKUP_KEEP' },
+  adminToken: { type: 'string', default: null, env: 'ADMIN_TOKEN', secret: true },
+  adminUsers: { type: 'adminUsers', default: [], secret: true }, // added with --add-user
+  adminSessionHours: { type: 'number', min: 0.1, max: 24 * 30, default: 12, env: 'ADMIN_SESSION_HOURS' },
+  // Requests per client IP: up to `burst` at once, refilled at `perMinute`; env as burst/perMinute
+  rateLimitProxy: { type: 'rateLimit', default: { burst: 60, perMinute: 30 }, env: 'RATE_LIMIT_PROXY' },
+  rateLimitHistory: { type: 'rateLimit', default: { burst: 120, perMinute: 60 }, env: 'RATE_LIMIT_HISTORY' },
+  rateLimitAdmin: { type: 'rateLimit', default: { burst: 10, perMinute: 5 }, env: 'RATE_LIMIT_ADMIN' },
+  trustProxy: { type: 'boolean', default: false, env: 'TRUST_PROXY' }, // client IP from X-Forwarded-For
+};
+
+// Raw file contents; a missing file is empty, invalid JSON throws
+function readConfigFile() {
+  let text;
+  try { text = fs.readFileSync(CONFIG_PATH, 'utf-8'); } catch (e) { return {}; }
+  const parsed = JSON.parse(text);
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('config.json must contain a JSON object');
+  return parsed;
+}
 
 function readConfig() {
-  try { return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8')); }
+  try { return readConfigFile(); }
   catch (e) { return {}; }
 }
 
@@ -40,8 +112,199 @@ function writeConfig(config) {
   fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
 }
 
+// Environment variables are text; lists are comma-separated, objects JSON
+function configFromEnv(spec, text) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': return text.trim() === '' ? NaN : Number(text);
+    case 'boolean': return { true: true, 1: true, yes: true, false: false, 0: false, no: false }[text.trim().toLowerCase()] ?? text;
+    case 'icaoList': return text.split(',').map(s => s.trim()).filter(Boolean);
+    case 'latLon': return text.split(',').map(Number);
+    case 'rateLimit': {
+      const [burst, perMinute] = text.split('/').map(Number);
+      return { burst, perMinute };
+    }
+    case 'array':
+    case 'object': return JSON.parse(text);
+    default: return text;
+  }
+}
+
+// Normalised value, or throws with the reason it is invalid
+function checkConfigValue(spec, value) {
+  const inRange = v => {
+    if (spec.min != null && v < spec.min) throw new Error(`must be at least ${spec.min}`);
+    if (spec.max != null && v > spec.max) throw new Error(`must be at most ${spec.max}`);
+    return v;
+  };
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) throw new Error('must be a whole number');
+      return inRange(value);
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('must be a number');
+      return inRange(value);
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error('must be true or false');
+      return value;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) throw new Error('must be a non-empty string');
+      if (spec.pattern && !spec.pattern.test(value.trim())) throw new Error(`must match ${spec.pattern}`);
+      return value.trim();
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\/[^/]/.test(value)) throw new Error('must be an http(s) URL');
+      return value.replace(/\/+$/, '');
+    case 'icaoList': {
+      if (!Array.isArray(value)) throw new Error('must be a list of ICAO codes');
+      const list = value.map(v => String(v).trim().toUpperCase());
+      const bad = list.filter(v => !/^[A-Z0-9]{4}$/.test(v));
+      if (bad.length > 0) throw new Error(`not ICAO codes: ${bad.join(', ')}`);
+      return list;
+    }
+    case 'latLon':
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)
+        || Math.abs(value[0]) > 90 || Math.abs(value[1]) > 180) throw new Error('must be [latitude, longitude]');
+      return value;
+    case 'array':
+      if (!Array.isArray(value)) throw new Error('must be a list');
+      return value;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('must be an object');
+      return value;
+    case 'rateLimit':
+      if (!value || !Number.isInteger(value.burst) || value.burst < 0
+        || typeof value.perMinute !== 'number' || !(value.perMinute >= 1)) throw new Error('must be { burst: whole number ≥ 0, perMinute: number ≥ 1 }');
+      return { burst: value.burst, perMinute: value.perMinute };
+    case 'adminUsers': {
+      if (!Array.isArray(value)) throw new Error('must be a list of users');
+      const names = new Set();
+      for (const user of value) {
+        if (!user || !/^[A-Za-z0-9._-]{1,64}$/.test(user.username)) throw new Error('every user needs a username of letters, digits, . _ -');
+        if (!/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/.test(user.passwordHash)) throw new Error(`${user.username}: passwordHash is not a hash from --add-user`);
+        if (names.has(user.username)) throw new Error(`${user.username} is listed twice`);
+        names.add(user.username);
+      }
+      return value;
+    }
+  }
+  throw new Error(`unknown type ${spec.type}`);
+}
+
+function resolveConfig(file) {
+  const resolved = { values: {}, sources: {}, errors: [], pendingRestart: [] };
+  for (const key of Object.keys(file)) {
+    if (!CONFIG_SCHEMA[key]) resolved.errors.push(`${key}: unknown setting, ignored`);
+  }
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const envText = spec.env ? process.env[spec.env] : undefined;
+    let source = 'default';
+    let value = spec.default;
+    try {
+      if (envText != null && envText !== '') {
+        source = `env ${spec.env}`;
+        value = checkConfigValue(spec, configFromEnv(spec, envText));
+      } else if (file[key] != null) {
+        source = 'config.json';
+        value = checkConfigValue(spec, file[key]);
+      }
+    } catch (err) {
+      resolved.errors.push(`${key} (${source}): ${err.message}; using the default`);
+      source = 'default';
+      value = spec.default;
+    }
+    resolved.values[key] = value;
+    resolved.sources[key] = source;
+  }
+  return resolved;
+}
+
+let config;
+try {
+  config = resolveConfig(readConfigFile());
+} catch (err) {
+  config = resolveConfig({});
+  config.errors.unshift(`config.json: ${err.message}; using environment and defaults`);
+}
+const configListeners = {};
+
+function getConfig(key) {
+  return config.values[key];
+}
+
+// Called with (value, previous) when a hot-reloadable setting changes
+function onConfigChange(key, listener) {
+  (configListeners[key] = configListeners[key] || []).push(listener);
+}
+
+// What browsers need: GET /api/config
+function clientConfig() {
+  const result = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.client) result[key] = config.values[key];
+  }
+  return result;
+}
+
+function reloadConfig() {
+  let next;
+  try {
+    next = resolveConfig(readConfigFile());
+  } catch (err) {
+    logWarn('CONFIG', 'config.json not reloaded, keeping the current settings', err.message);
+    return;
+  }
+  const changed = [];
+  const needRestart = [];
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (JSON.stringify(next.values[key]) === JSON.stringify(config.values[key])) continue;
+    if (spec.restart) {
+      next.values[key] = config.values[key];
+      next.sources[key] = config.sources[key];
+      needRestart.push(key);
+    } else {
+      changed.push(key);
+    }
+  }
+  // Compared with the kept startup values, so this lists every change still waiting
+  next.pendingRestart = needRestart;
+  const previous = config;
+  config = next;
+  for (const error of next.errors) {
+    if (!previous.errors.includes(error)) logWarn('CONFIG', 'Invalid setting', error);
+  }
+  if (changed.length > 0) logInfo('CONFIG', 'Configuration reloaded', `changed: ${changed.join(', ')}`);
+  if (needRestart.length > 0 && JSON.stringify(needRestart) !== JSON.stringify(previous.pendingRestart)) {
+    logWarn('CONFIG', 'Changed settings take effect after a restart', needRestart.join(', '));
+  }
+  for (const key of changed) {
+    for (const listener of configListeners[key] || []) listener(config.values[key], previous.values[key]);
+  }
+}
+
+function watchConfig() {
+  fs.watchFile(CONFIG_PATH, { interval: CONFIG_WATCH_INTERVAL }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadConfig();
+  });
+}
+
 function getApiKey() {
-  return process.env.OPENAIP_API_KEY || readConfig().openaipApiKey || null;
+  // Replay never talks to OpenAIP, so any key will do
+  return getConfig('openaipApiKey') || (REPLAY_DIR ? 'replay' : null);
+}
+
+// Upstream base URLs, e.g. to point at a mirror
+function getAwcBaseUrl() {
+  return getConfig('awcBaseUrl');
+}
+
+function getOpenaipBaseUrl() {
+  return getConfig('openaipBaseUrl');
+}
+
+// Storage compaction: age in days after which rows are compacted, and whether METARs past
+// that age are thinned to one per airport and hour
+function getCompactionSettings() {
+  return { afterDays: getConfig('compactAfterDays'), hourlyMetars: getConfig('compactHourlyMetars') };
 }
 
 // ─── Structured Log File ────────────────────────────────────
@@ -102,7 +365,7 @@ function rotateLogIfNeeded() {
   } catch (e) { /* ignore */ }
 }
 
-// In-memory cache keyed by request URL
+// In-memory cache keyed by `type:id` (e.g. `metar:LOWW`, `airports:AT:1:100`)
 const cache = new Map();
 
 // Load cache from disk on startup
@@ -112,6 +375,8 @@ function loadCacheFromDisk() {
       const data = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
       let loaded = 0;
       for (const [key, entry] of Object.entries(data)) {
+        // Skip the combined entries written before the per-station cache existed
+        if (key === 'metar:all' || key === 'taf:all') continue;
         cache.set(key, entry);
         loaded++;
       }
@@ -140,62 +405,256 @@ setInterval(saveCacheToDisk, 5 * 60 * 1000);
 
 fs.mkdirSync(path.dirname(HISTORY_DB_PATH), { recursive: true });
 const db = new DatabaseSync(HISTORY_DB_PATH);
+// A new file can take incremental auto-vacuum for free; existing ones switch with --compact
+if (db.prepare('PRAGMA page_count').get().page_count === 0) db.exec('PRAGMA auto_vacuum = INCREMENTAL');
+
+// ─── Schema Migrations ──────────────────────────────────────
+// schema_version holds one row per applied step. Steps are append-only: never edit or
+// reorder a released one, add the next version instead. Each step runs in one transaction
+// together with its schema_version row. Databases from before versioning are at version 0;
+// the baseline only creates what is missing, so it is safe on any of them.
+
+function addColumnIfMissing(table, column, type) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Baseline: METAR/TAF history, tracked airports, TAF versions, busts, coverage gaps',
+    up() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS metar_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          fetch_time   TEXT NOT NULL,
+          icao_id      TEXT NOT NULL,
+          flt_cat      TEXT,
+          temp         REAL,
+          dewp         REAL,
+          wdir         INTEGER,
+          wspd         INTEGER,
+          wgst         INTEGER,
+          visib        TEXT,
+          altim        REAL,
+          ceiling      INTEGER,
+          cloud_base   INTEGER,
+          wx_string    TEXT,
+          raw_ob       TEXT,
+          report_time  TEXT,
+          metar_json   TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_metar_icao_time ON metar_history (icao_id, fetch_time);
+        CREATE INDEX IF NOT EXISTS idx_metar_time ON metar_history (fetch_time);
+
+        CREATE TABLE IF NOT EXISTS taf_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          fetch_time      TEXT NOT NULL,
+          icao_id         TEXT NOT NULL,
+          valid_from      TEXT,
+          valid_to        TEXT,
+          flt_cat_now     TEXT,
+          flt_cat_2h      TEXT,
+          flt_cat_4h      TEXT,
+          flt_cat_8h      TEXT,
+          flt_cat_24h     TEXT,
+          raw_taf         TEXT,
+          taf_json        TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_taf_icao_time ON taf_history (icao_id, fetch_time);
+        CREATE INDEX IF NOT EXISTS idx_taf_time ON taf_history (fetch_time);
+        CREATE INDEX IF NOT EXISTS idx_metar_report ON metar_history (icao_id, report_time);
+        CREATE INDEX IF NOT EXISTS idx_taf_valid ON taf_history (icao_id, valid_from);
+
+        CREATE TABLE IF NOT EXISTS tracked_airports (
+          icao_id    TEXT PRIMARY KEY,
+          name       TEXT,
+          lat        REAL,
+          lon        REAL,
+          elevation_m REAL,
+          updated_at TEXT NOT NULL
+        );
+
+        -- METARs worse than anything the TAF in force allowed (see recordTafBusts)
+        CREATE TABLE IF NOT EXISTS taf_busts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          icao_id      TEXT NOT NULL,
+          obs_time     TEXT NOT NULL,
+          detected_at  TEXT NOT NULL,
+          observed_cat TEXT NOT NULL,
+          forecast_cat TEXT NOT NULL,
+          metar_id     INTEGER,
+          taf_id       INTEGER
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_bust_icao_obs ON taf_busts (icao_id, obs_time);
+        CREATE INDEX IF NOT EXISTS idx_bust_time ON taf_busts (obs_time);
+
+        -- Hours without any METAR that a backfill could not recover (see backfillHistory)
+        CREATE TABLE IF NOT EXISTS coverage_gaps (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          icao_id      TEXT NOT NULL,
+          gap_from     TEXT NOT NULL,
+          gap_to       TEXT NOT NULL,
+          detected_at  TEXT NOT NULL
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_gap_icao_from ON coverage_gaps (icao_id, gap_from);
+      `);
+      // Columns that pre-versioning databases gained one by one
+      addColumnIfMissing('tracked_airports', 'elevation_m', 'REAL');
+      addColumnIfMissing('taf_history', 'outlook_json', 'TEXT');
+      addColumnIfMissing('taf_history', 'issue_time', 'TEXT');
+      addColumnIfMissing('taf_history', 'amendment', 'TEXT');
+      addColumnIfMissing('taf_history', 'supersedes_id', 'INTEGER');
+      addColumnIfMissing('taf_history', 'issue_seq', 'INTEGER');
+      // Rows stored before TAF versioning are the first issue of their validity
+      db.exec(`
+        UPDATE taf_history SET
+          issue_time = COALESCE(issue_time, strftime('%Y-%m-%dT%H:%M:%S.000Z', json_extract(taf_json, '$.issueTime'))),
+          amendment = COALESCE(amendment, CASE
+            WHEN raw_taf LIKE 'TAF AMD %' OR raw_taf LIKE 'AMD %' THEN 'AMD'
+            WHEN raw_taf LIKE 'TAF COR %' OR raw_taf LIKE 'COR %' THEN 'COR' END),
+          issue_seq = 1
+        WHERE issue_seq IS NULL
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'Compaction run history',
+    up() {
+      db.exec(`
+        -- One row per compactHistory() run
+        CREATE TABLE IF NOT EXISTS compaction_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          run_at          TEXT NOT NULL,
+          cutoff          TEXT NOT NULL,
+          compressed_rows INTEGER NOT NULL,
+          thinned_metars  INTEGER NOT NULL,
+          bytes_before    INTEGER NOT NULL,
+          bytes_after     INTEGER NOT NULL,
+          duration_ms     INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_compaction_run_at ON compaction_runs (run_at);
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'Retention audit log',
+    up() {
+      db.exec(`
+        -- One row per retention purge that deleted something (see applyRetention)
+        CREATE TABLE IF NOT EXISTS retention_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          run_at        TEXT NOT NULL,
+          trigger       TEXT NOT NULL,
+          policy_json   TEXT NOT NULL,
+          deleted_json  TEXT NOT NULL,
+          total_deleted INTEGER NOT NULL,
+          duration_ms   INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_retention_run_at ON retention_audit (run_at);
+      `);
+    },
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// --restore replaces the database file, so it runs before anything reads the current one
+if (process.argv.includes('--restore')) {
+  process.exit(restoreBackup(process.argv));
+}
 
 db.exec(`
-  CREATE TABLE IF NOT EXISTS metar_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    fetch_time   TEXT NOT NULL,
-    icao_id      TEXT NOT NULL,
-    flt_cat      TEXT,
-    temp         REAL,
-    dewp         REAL,
-    wdir         INTEGER,
-    wspd         INTEGER,
-    wgst         INTEGER,
-    visib        TEXT,
-    altim        REAL,
-    ceiling      INTEGER,
-    cloud_base   INTEGER,
-    wx_string    TEXT,
-    raw_ob       TEXT,
-    report_time  TEXT,
-    metar_json   TEXT
-  );
-  CREATE INDEX IF NOT EXISTS idx_metar_icao_time ON metar_history (icao_id, fetch_time);
-  CREATE INDEX IF NOT EXISTS idx_metar_time ON metar_history (fetch_time);
-
-  CREATE TABLE IF NOT EXISTS taf_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    fetch_time      TEXT NOT NULL,
-    icao_id         TEXT NOT NULL,
-    valid_from      TEXT,
-    valid_to        TEXT,
-    flt_cat_now     TEXT,
-    flt_cat_2h      TEXT,
-    flt_cat_4h      TEXT,
-    flt_cat_8h      TEXT,
-    flt_cat_24h     TEXT,
-    raw_taf         TEXT,
-    taf_json        TEXT
-  );
-  CREATE INDEX IF NOT EXISTS idx_taf_icao_time ON taf_history (icao_id, fetch_time);
-  CREATE INDEX IF NOT EXISTS idx_taf_time ON taf_history (fetch_time);
-  CREATE INDEX IF NOT EXISTS idx_metar_report ON metar_history (icao_id, report_time);
-  CREATE INDEX IF NOT EXISTS idx_taf_valid ON taf_history (icao_id, valid_from);
-
-  CREATE TABLE IF NOT EXISTS tracked_airports (
-    icao_id    TEXT PRIMARY KEY,
-    name       TEXT,
-    lat        REAL,
-    lon        REAL,
-    elevation_m REAL,
-    updated_at TEXT NOT NULL
-  );
+  CREATE TABLE IF NOT EXISTS schema_version (
+    version    INTEGER PRIMARY KEY,
+    name       TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )
 `);
 
-// Add elevation_m column to existing databases (safe to fail if already exists)
-try { db.exec('ALTER TABLE tracked_airports ADD COLUMN elevation_m REAL'); } catch (e) {}
+function currentSchemaVersion() {
+  return db.prepare('SELECT MAX(version) AS v FROM schema_version').get().v || 0;
+}
+
+function pendingMigrations() {
+  const current = currentSchemaVersion();
+  return MIGRATIONS.filter(m => m.version > current);
+}
+
+function applyMigrations() {
+  const pending = pendingMigrations();
+  for (const m of pending) {
+    const started = Date.now();
+    db.exec('BEGIN');
+    try {
+      m.up();
+      db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)').run(m.version, m.name, new Date().toISOString());
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      logError('DB', `Schema migration ${m.version} failed: ${m.name}`, err.message);
+      throw err;
+    }
+    logInfo('DB', `Schema migrated to version ${m.version}: ${m.name}`, `${Date.now() - started}ms`);
+  }
+  return pending.length;
+}
+
+// `--migrate [status]` lists applied and pending steps, `--migrate apply` applies the pending ones
+function runMigrateCommand(argv) {
+  const action = argv[argv.indexOf('--migrate') + 1] || 'status';
+  if (action !== 'status' && action !== 'apply') {
+    console.error('Usage: node server.js --migrate [status|apply]');
+    return 1;
+  }
+  const current = currentSchemaVersion();
+  console.log(`Database:       ${HISTORY_DB_PATH}`);
+  console.log(`Schema version: ${current} (this server: ${SCHEMA_VERSION})`);
+  if (current > SCHEMA_VERSION) {
+    console.error('The database is newer than this server. Update the server or restore a backup.');
+    return 1;
+  }
+  if (action === 'status') {
+    for (const row of db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all()) {
+      console.log(`  applied  ${String(row.version).padStart(3)}  ${row.applied_at}  ${row.name}`);
+    }
+    const pending = pendingMigrations();
+    for (const m of pending) console.log(`  pending  ${String(m.version).padStart(3)}  ${' '.repeat(24)}  ${m.name}`);
+    if (pending.length > 0) console.log('Run `node server.js --migrate apply` (or start the server) to apply them.');
+    return 0;
+  }
+  try {
+    const count = applyMigrations();
+    console.log(count ? `Applied ${count} migration(s), now at version ${currentSchemaVersion()}` : 'Nothing to apply');
+    return 0;
+  } catch (err) {
+    console.error(`Migration failed, database left at version ${currentSchemaVersion()}: ${err.message}`);
+    return 1;
+  }
+}
+
+if (process.argv.includes('--migrate')) {
+  const code = runMigrateCommand(process.argv);
+  db.close();
+  process.exit(code);
+}
+
+// Refuse to run against a schema written by a newer version of this server
+const dbSchemaVersion = currentSchemaVersion();
+if (dbSchemaVersion > SCHEMA_VERSION) {
+  logError('DB', `Database schema version ${dbSchemaVersion} is newer than this server (${SCHEMA_VERSION})`, HISTORY_DB_PATH);
+  console.error('Update the server or restore a backup of the database.');
+  process.exit(1);
+}
+try {
+  applyMigrations();
+} catch (err) {
+  console.error(`Schema migration failed: ${err.message}`);
+  process.exit(1);
+}
 
+// Prepared statements need the current schema, so they follow the migrations
 const insertMetarStmt = db.prepare(`
   INSERT INTO metar_history (fetch_time, icao_id, flt_cat, temp, dewp, wdir, wspd, wgst, visib, altim, ceiling, cloud_base, wx_string, raw_ob, report_time, metar_json)
   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -205,240 +664,767 @@ const metarExistsStmt = db.prepare(`
 `);
 
 const insertTafStmt = db.prepare(`
-  INSERT INTO taf_history (fetch_time, icao_id, valid_from, valid_to, flt_cat_now, flt_cat_2h, flt_cat_4h, flt_cat_8h, flt_cat_24h, raw_taf, taf_json)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO taf_history (fetch_time, icao_id, valid_from, valid_to, flt_cat_now, flt_cat_2h, flt_cat_4h, flt_cat_8h, flt_cat_24h, raw_taf, taf_json, outlook_json,
+    issue_time, amendment, supersedes_id, issue_seq)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const tafVersionExistsStmt = db.prepare(`
+  SELECT 1 FROM taf_history WHERE icao_id = ? AND valid_from = ? AND issue_time = ? LIMIT 1
+`);
+const tafLatestVersionStmt = db.prepare(`
+  SELECT id, issue_time, issue_seq, raw_taf FROM taf_history WHERE icao_id = ? AND valid_from = ?
+  ORDER BY issue_seq DESC, id DESC LIMIT 1
 `);
-const tafExistsStmt = db.prepare(`
-  SELECT 1 FROM taf_history WHERE icao_id = ? AND valid_from = ? LIMIT 1
+
+// TAF in force at an observation time: valid then and already issued, latest issue wins
+const tafInForceStmt = db.prepare(`
+  SELECT id, taf_json, issue_time, amendment FROM taf_history
+  WHERE icao_id = ? AND valid_from <= ? AND valid_to > ? AND COALESCE(issue_time, fetch_time) <= ?
+  ORDER BY COALESCE(issue_time, fetch_time) DESC, issue_seq DESC, id DESC LIMIT 1
+`);
+const insertBustStmt = db.prepare(`
+  INSERT OR IGNORE INTO taf_busts (icao_id, obs_time, detected_at, observed_cat, forecast_cat, metar_id, taf_id)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+const insertGapStmt = db.prepare(`
+  INSERT OR IGNORE INTO coverage_gaps (icao_id, gap_from, gap_to, detected_at) VALUES (?, ?, ?, ?)
 `);
+const gapAtStmt = db.prepare(`
+  SELECT id, gap_from, gap_to, detected_at FROM coverage_gaps WHERE icao_id = ? AND gap_from <= ? AND gap_to > ?
+`);
+const deleteGapStmt = db.prepare('DELETE FROM coverage_gaps WHERE id = ?');
 
 logInfo('DB', `Weather history DB initialized: ${HISTORY_DB_PATH}`);
 
-// ─── Flight Category Computation (ported from app.js) ───────
+// ─── Database Backup & Restore ──────────────────────────────
+// Snapshots are written with `VACUUM INTO`, which reads one consistent state of the database
+// while the server keeps running, into `weather_history-<UTC time>.db` files in the backup
+// directory. Only the newest backupKeep files are kept. `node server.js --restore <file>`
+// swaps a snapshot in; it runs before anything else opens the current database.
+
+let backupRunning = false;
+let nextBackupTime = null;
+
+// A relative backupDir is resolved against the app directory; an interval of 0 turns scheduled backups off
+function getBackupSettings() {
+  return {
+    dir: path.resolve(__dirname, getConfig('backupDir')),
+    intervalHours: getConfig('backupIntervalHours'),
+    keep: getConfig('backupKeep'),
+  };
+}
+
+// Snapshots in `dir`, newest first
+function listBackups(dir) {
+  let files = [];
+  try { files = fs.readdirSync(dir); } catch (e) { return []; }
+  return files
+    .map(file => ({ file, m: file.match(/^weather_history-(\d{4}-\d\d-\d\d)T(\d\d)-(\d\d)-(\d\d)Z\.db$/) }))
+    .filter(({ m }) => m)
+    .map(({ file, m }) => ({
+      file,
+      created: `${m[1]}T${m[2]}:${m[3]}:${m[4]}Z`,
+      bytes: fs.statSync(path.join(dir, file)).size,
+    }))
+    .sort((a, b) => (a.created < b.created ? 1 : -1));
+}
 
-function getCeilingFromClouds(clouds) {
-  if (!clouds || !Array.isArray(clouds)) return null;
-  for (const c of clouds) {
-    if (c.cover === 'BKN' || c.cover === 'OVC' || c.cover === 'OVX') {
-      return c.base;
+function createBackup(trigger) {
+  if (backupRunning) throw new Error('A backup is already running');
+  backupRunning = true;
+  const started = Date.now();
+  const { dir, keep } = getBackupSettings();
+  const file = `weather_history-${new Date(started).toISOString().slice(0, 19).replace(/:/g, '-')}Z.db`;
+  const target = path.join(dir, file);
+  const partial = `${target}.partial`;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.rmSync(partial, { force: true });
+    // Written under a temporary name so an interrupted backup is never listed as a snapshot
+    db.prepare('VACUUM INTO ?').run(partial);
+    fs.renameSync(partial, target);
+    const removed = [];
+    for (const old of listBackups(dir).slice(keep)) {
+      fs.rmSync(path.join(dir, old.file), { force: true });
+      removed.push(old.file);
     }
+    const bytes = fs.statSync(target).size;
+    logInfo('DB', `Backup (${trigger}) written: ${file}`, `${(bytes / 1024 / 1024).toFixed(1)} MB, ${Date.now() - started}ms${removed.length ? `, rotated out ${removed.join(', ')}` : ''}`);
+    return { file, path: target, bytes, durationMs: Date.now() - started, removed };
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    logError('DB', `Backup (${trigger}) failed`, err.message);
+    throw err;
+  } finally {
+    backupRunning = false;
   }
-  return null;
 }
 
-function getLowestCloudBase(clouds) {
-  if (!clouds || !Array.isArray(clouds)) return null;
-  let lowest = null;
-  for (const c of clouds) {
-    if (c.base != null && (lowest === null || c.base < lowest)) {
-      lowest = c.base;
-    }
+// The first backup is due one interval after the newest snapshot, so restarts add none
+function scheduleBackups() {
+  const { dir, intervalHours } = getBackupSettings();
+  if (intervalHours === 0) {
+    logInfo('SCHEDULER', 'Scheduled backups disabled (backup interval 0)');
+    return;
   }
-  return lowest;
+  const interval = intervalHours * 60 * 60 * 1000;
+  const newest = listBackups(dir)[0];
+  const dueIn = newest ? Math.max(0, new Date(newest.created).getTime() + interval - Date.now()) : 0;
+  const run = () => {
+    nextBackupTime = Date.now() + interval;
+    try { createBackup('scheduled'); } catch (e) { /* logged by createBackup */ }
+  };
+  nextBackupTime = Date.now() + dueIn;
+  setTimeout(() => {
+    run();
+    setInterval(run, interval);
+  }, dueIn);
 }
 
-function computeFlightCategory(ceilingFt, visibSM) {
-  // ICAO/Austrian VFR: ceiling > 1500 ft AND visibility > 5 km (~3.107 SM)
-  const VFR_CEIL = 1500;
-  const VFR_VIS_SM = 5 / 1.60934; // 5 km in statute miles
+// `--restore <file>`: a path, or the name of a snapshot in the backup directory. The snapshot
+// must pass PRAGMA integrity_check and have a schema this server can run (older ones are
+// migrated at the next start). The replaced database is kept as weather_history.db.before-restore-<time>.
+function restoreBackup(argv) {
+  const arg = argv[argv.indexOf('--restore') + 1];
+  if (!arg || arg.startsWith('-')) {
+    const { dir } = getBackupSettings();
+    console.error('Usage: node server.js --restore <snapshot file>   (stop the server first)');
+    const snapshots = listBackups(dir);
+    if (snapshots.length > 0) console.error(`Snapshots in ${dir}:\n${snapshots.map(s => `  ${s.file}  ${(s.bytes / 1024 / 1024).toFixed(1)} MB`).join('\n')}`);
+    return 1;
+  }
+  const source = fs.existsSync(arg) ? path.resolve(arg) : path.join(getBackupSettings().dir, arg);
+  if (!fs.existsSync(source)) {
+    console.error(`Snapshot not found: ${arg}`);
+    return 1;
+  }
 
-  let vis = null;
-  if (visibSM != null && visibSM !== '') {
-    if (typeof visibSM === 'string') {
-      vis = visibSM.includes('+') ? parseFloat(visibSM) + 0.1 : parseFloat(visibSM);
-    } else {
-      vis = visibSM;
+  let version;
+  try {
+    const snapshot = new DatabaseSync(source, { readOnly: true });
+    try {
+      const check = snapshot.prepare('PRAGMA integrity_check').all().map(r => r.integrity_check);
+      if (check.length !== 1 || check[0] !== 'ok') throw new Error(`integrity check failed: ${check.slice(0, 5).join('; ')}`);
+      const hasVersions = snapshot.prepare("SELECT 1 FROM sqlite_schema WHERE type = 'table' AND name = 'schema_version'").get();
+      version = hasVersions ? snapshot.prepare('SELECT MAX(version) AS v FROM schema_version').get().v || 0 : 0;
+      if (!snapshot.prepare("SELECT 1 FROM sqlite_schema WHERE type = 'table' AND name = 'metar_history'").get()) {
+        throw new Error('not a weather history database (no metar_history table)');
+      }
+    } finally {
+      snapshot.close();
     }
+  } catch (err) {
+    console.error(`Refusing to restore ${source}: ${err.message}`);
+    return 1;
+  }
+  if (version > SCHEMA_VERSION) {
+    console.error(`Refusing to restore ${source}: schema version ${version} is newer than this server (${SCHEMA_VERSION})`);
+    return 1;
   }
 
-  if (ceilingFt != null && ceilingFt <= VFR_CEIL) return 'IFR';
-  if (vis != null && vis <= VFR_VIS_SM) return 'IFR';
-  return 'VFR';
-}
-
-function getTafPeriodCategory(period) {
-  const ceiling = getCeilingFromClouds(period.clouds);
-  const vis = period.visib;
-  if (ceiling == null && (vis == null || vis === '')) return null;
-  return computeFlightCategory(ceiling, vis);
+  db.close();
+  const stamp = new Date().toISOString().slice(0, 23).replace(/:/g, '-');
+  const incoming = `${HISTORY_DB_PATH}.restoring`;
+  fs.copyFileSync(source, incoming);
+  if (fs.existsSync(HISTORY_DB_PATH)) fs.renameSync(HISTORY_DB_PATH, `${HISTORY_DB_PATH}.before-restore-${stamp}`);
+  // A leftover journal belongs to the old file and would be rolled back into the restored one
+  for (const suffix of ['-journal', '-wal', '-shm']) fs.rmSync(HISTORY_DB_PATH + suffix, { force: true });
+  fs.renameSync(incoming, HISTORY_DB_PATH);
+
+  logInfo('DB', `Database restored from ${source}`, `schema version ${version}, previous file kept as ${path.basename(HISTORY_DB_PATH)}.before-restore-${stamp}`);
+  if (version < SCHEMA_VERSION) console.log(`The snapshot is at schema version ${version}; the next start migrates it to ${SCHEMA_VERSION}.`);
+  return 0;
 }
 
-function worseCat(a, b) {
-  if (!a) return b;
-  if (!b) return a;
-  const s = { VFR: 0, IFR: 1 };
-  return (s[a] || 0) >= (s[b] || 0) ? a : b;
+// ─── Upstream HTTP Client ───────────────────────────────────
+// Every outbound call goes through upstreamGet(): per-attempt timeout, bounded
+// exponential retry on 5xx / network errors, and a per-host circuit breaker
+// that fails fast while a host is known to be down.
+
+const UPSTREAM_TIMEOUT = 15 * 1000; // per attempt
+const UPSTREAM_RETRIES = 2; // extra attempts after the first one
+const UPSTREAM_RETRY_BASE_DELAY = 500; // ms, doubled on each retry
+const BREAKER_FAILURE_THRESHOLD = 5; // consecutive failed requests before the circuit opens
+const BREAKER_COOLDOWN = 60 * 1000; // how long an open circuit rejects before allowing a probe
+
+// Circuit breaker state per upstream hostname
+const breakers = new Map();
+
+function getBreaker(host) {
+  let b = breakers.get(host);
+  if (!b) {
+    b = {
+      state: 'closed', failures: 0, openedAt: null, probing: false,
+      requests: 0, errors: 0, retries: 0, timeouts: 0, rejected: 0,
+      lastError: null, lastSuccess: null,
+    };
+    breakers.set(host, b);
+  }
+  return b;
 }
 
-function getForecastCategoryFromTaf(taf, targetTime) {
-  if (!taf || !taf.fcsts || taf.fcsts.length === 0) return null;
-  if (targetTime < taf.validTimeFrom || targetTime >= taf.validTimeTo) return null;
-  const basePeriods = taf.fcsts.filter(f => !f.fcstChange);
-  const changeGroups = taf.fcsts.filter(f => f.fcstChange);
-  let baseCat = null;
-  for (const period of basePeriods) {
-    if (period.timeFrom <= targetTime && targetTime < period.timeTo) {
-      baseCat = getTafPeriodCategory(period);
-      break;
-    }
+function breakerAllows(b) {
+  if (b.state === 'closed') return true;
+  if (b.state === 'open' && Date.now() - b.openedAt >= BREAKER_COOLDOWN) {
+    b.state = 'half-open';
+    b.probing = false;
   }
-  for (const cg of changeGroups) {
-    if (cg.fcstChange !== 'BECMG') continue;
-    if (cg.timeFrom <= targetTime) {
-      baseCat = worseCat(baseCat, getTafPeriodCategory(cg));
-    }
+  // Half-open: let exactly one probe request through
+  if (b.state === 'half-open' && !b.probing) {
+    b.probing = true;
+    return true;
   }
-  let worstCat = baseCat;
-  for (const cg of changeGroups) {
-    if (cg.fcstChange === 'BECMG') continue;
-    if (cg.timeFrom <= targetTime && targetTime < cg.timeTo) {
-      worstCat = worseCat(worstCat, getTafPeriodCategory(cg));
-    }
+  return false;
+}
+
+function breakerSuccess(host, b) {
+  if (b.state !== 'closed') logInfo('UPSTREAM', `Circuit closed for ${host}`);
+  b.state = 'closed';
+  b.failures = 0;
+  b.probing = false;
+  b.lastSuccess = Date.now();
+}
+
+function breakerFailure(host, b, err) {
+  b.errors++;
+  b.failures++;
+  b.probing = false;
+  b.lastError = { time: Date.now(), message: err.message };
+  if (b.state === 'half-open' || (b.state === 'closed' && b.failures >= BREAKER_FAILURE_THRESHOLD)) {
+    b.state = 'open';
+    b.openedAt = Date.now();
+    logWarn('UPSTREAM', `Circuit opened for ${host}`, `${b.failures} consecutive failures, last: ${err.message}`);
   }
-  return worstCat;
 }
 
-function getForecastWeatherFromTaf(taf, targetTimeSec) {
-  if (!taf || !taf.fcsts || taf.fcsts.length === 0) return null;
-  if (targetTimeSec < taf.validTimeFrom || targetTimeSec >= taf.validTimeTo) return null;
+function upstreamAttempt(url, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const client = parsed.protocol === 'http:' ? http : https;
+    const req = client.get({
+      hostname: parsed.hostname,
+      port: parsed.port || undefined,
+      path: parsed.pathname + parsed.search,
+      headers: headers || {},
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+      res.on('error', reject);
+    });
+    req.setTimeout(timeout, () => {
+      const err = new Error(`Timeout after ${timeout}ms from ${parsed.hostname}`);
+      err.timeout = true;
+      req.destroy(err);
+    });
+    req.on('error', reject);
+  });
+}
+
+// ─── Upstream Fixtures (record / replay) ────────────────────
+// One JSON file per distinct request path + query: { url, statusCode, body, recordedAt }.
+// The base URL is not part of the key, so fixtures recorded against a mirror replay anywhere.
 
-  const basePeriods = taf.fcsts.filter(f => !f.fcstChange);
-  const changeGroups = taf.fcsts.filter(f => f.fcstChange);
+function fixtureKey(url) {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams].sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  return parsed.pathname + '?' + new URLSearchParams(params).toString();
+}
 
-  let result = { wspd: null, wgst: null, wdir: null, ceiling: null };
+function fixtureFile(dir, url) {
+  const key = fixtureKey(url);
+  const slug = new URL(url).pathname.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return path.join(dir, `${slug}_${hash}.json`);
+}
 
-  // Base forecast period covering targetTime
-  for (const period of basePeriods) {
-    if (period.timeFrom <= targetTimeSec && targetTimeSec < period.timeTo) {
-      result.wspd = period.wspd ?? null;
-      result.wgst = period.wgst ?? null;
-      result.wdir = period.wdir ?? null;
-      result.ceiling = getCeilingFromClouds(period.clouds);
-      break;
-    }
+function recordFixture(url, res) {
+  try {
+    fs.mkdirSync(RECORD_DIR, { recursive: true });
+    const fixture = { url: fixtureKey(url), statusCode: res.statusCode, body: res.body, recordedAt: new Date().toISOString() };
+    fs.writeFileSync(fixtureFile(RECORD_DIR, url), JSON.stringify(fixture));
+  } catch (err) {
+    logWarn('UPSTREAM', 'Failed to record fixture', err.message);
   }
+}
 
-  // BECMG groups: overwrite values (permanent transitions)
-  for (const cg of changeGroups) {
-    if (cg.fcstChange !== 'BECMG') continue;
-    if (cg.timeFrom <= targetTimeSec) {
-      if (cg.wspd != null) result.wspd = cg.wspd;
-      if (cg.wgst != null) result.wgst = cg.wgst;
-      if (cg.wdir != null) result.wdir = cg.wdir;
-      const becmgCeiling = getCeilingFromClouds(cg.clouds);
-      if (becmgCeiling != null) result.ceiling = becmgCeiling;
+// All replay fixtures grouped by request path, loaded once on first use
+let replayIndex = null;
+
+function loadReplayIndex() {
+  replayIndex = new Map();
+  let files = [];
+  try { files = fs.readdirSync(REPLAY_DIR).filter(f => f.endsWith('.json')); }
+  catch (err) { logWarn('UPSTREAM', `Replay directory not readable: ${REPLAY_DIR}`, err.message); }
+  for (const f of files) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(path.join(REPLAY_DIR, f), 'utf-8'));
+      const pathname = fixture.url.split('?')[0];
+      if (!replayIndex.has(pathname)) replayIndex.set(pathname, []);
+      replayIndex.get(pathname).push(fixture);
+    } catch (err) {
+      logWarn('UPSTREAM', `Skipping unreadable fixture ${f}`, err.message);
     }
   }
+  logInfo('UPSTREAM', `Replay mode: ${files.length} fixtures loaded from ${REPLAY_DIR}`);
+}
 
-  // TEMPO/PROB groups: worst case (highest wind, lowest ceiling)
-  for (const cg of changeGroups) {
-    if (cg.fcstChange === 'BECMG') continue;
-    if (cg.timeFrom <= targetTimeSec && targetTimeSec < cg.timeTo) {
-      if (cg.wspd != null && (result.wspd == null || cg.wspd > result.wspd)) result.wspd = cg.wspd;
-      if (cg.wgst != null && (result.wgst == null || cg.wgst > result.wgst)) result.wgst = cg.wgst;
-      const tempoCeiling = getCeilingFromClouds(cg.clouds);
-      if (tempoCeiling != null && (result.ceiling == null || tempoCeiling < result.ceiling)) result.ceiling = tempoCeiling;
+// Exact match first. Weather requests batch stations differently from run to run,
+// so for `ids=` requests the reports of the requested stations are assembled from all
+// recorded fixtures of the same endpoint.
+function replayFixture(url) {
+  if (!replayIndex) loadReplayIndex();
+  const key = fixtureKey(url);
+  const parsed = new URL(url);
+  const fixtures = replayIndex.get(parsed.pathname) || [];
+  const exact = fixtures.find(f => f.url === key);
+  if (exact) return { statusCode: exact.statusCode, body: exact.body };
+
+  const ids = parsed.searchParams.get('ids');
+  if (ids && fixtures.length > 0) {
+    const wanted = new Set(ids.toUpperCase().split(','));
+    const seen = new Set();
+    const items = [];
+    for (const f of fixtures) {
+      let data;
+      try { data = JSON.parse(f.body); } catch (e) { continue; }
+      if (!Array.isArray(data)) continue;
+      for (const item of data) {
+        const dedupeKey = item.rawOb || item.rawTAF || JSON.stringify(item);
+        if (!wanted.has(item.icaoId) || seen.has(dedupeKey)) continue;
+        seen.add(dedupeKey);
+        items.push(item);
+      }
     }
+    return { statusCode: 200, body: JSON.stringify(items) };
   }
+  return { statusCode: 404, body: JSON.stringify({ error: `No fixture recorded for ${key}` }) };
+}
 
-  return result;
+// Resolves with { statusCode, body } for any completed response (4xx included,
+// 5xx once retries are exhausted); rejects on network errors, timeouts or an open circuit.
+async function upstreamGet(url, headers, options = {}) {
+  if (REPLAY_DIR) return replayFixture(url);
+  const host = new URL(url).hostname;
+  const b = getBreaker(host);
+  if (!breakerAllows(b)) {
+    b.rejected++;
+    throw new Error(`Circuit open for ${host}`);
+  }
+  b.requests++;
+  const retries = options.retries ?? UPSTREAM_RETRIES;
+  const timeout = options.timeout ?? UPSTREAM_TIMEOUT;
+  let lastError = null;
+  let lastResponse = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      b.retries++;
+      const delay = UPSTREAM_RETRY_BASE_DELAY * 2 ** (attempt - 1);
+      logDebug('UPSTREAM', `Retry ${attempt}/${retries} for ${host} in ${delay}ms`, lastError ? lastError.message : '');
+      await new Promise(r => setTimeout(r, delay));
+    }
+    try {
+      const res = await upstreamAttempt(url, headers, timeout);
+      if (res.statusCode < 500) {
+        breakerSuccess(host, b);
+        if (RECORD_DIR) recordFixture(url, res);
+        return res;
+      }
+      lastResponse = res;
+      lastError = new Error(`HTTP ${res.statusCode} from ${url}`);
+    } catch (err) {
+      if (err.timeout) b.timeouts++;
+      lastResponse = null;
+      lastError = err;
+    }
+  }
+  breakerFailure(host, b, lastError);
+  if (lastResponse) return lastResponse;
+  throw lastError;
 }
 
-// ─── HTTPS JSON Helper ──────────────────────────────────────
+async function httpsGetJson(url, headers) {
+  const res = await upstreamGet(url, headers);
+  if (res.statusCode !== 200) throw new Error(`HTTP ${res.statusCode} from ${url}`);
+  try { return JSON.parse(res.body); }
+  catch (e) { throw new Error(`Invalid JSON from ${url}`); }
+}
 
-function httpsGetJson(url, headers) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const options = {
-      hostname: parsed.hostname,
-      path: parsed.pathname + parsed.search,
-      headers: headers || {},
-    };
-    https.get(options, (res) => {
-      let body = '';
-      res.on('data', chunk => body += chunk);
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try { resolve(JSON.parse(body)); }
-          catch (e) { reject(new Error(`Invalid JSON from ${url}`)); }
-        } else {
-          reject(new Error(`HTTP ${res.statusCode} from ${url}`));
-        }
-      });
-    }).on('error', reject);
-  });
+function getUpstreamStats() {
+  return [...breakers].map(([host, b]) => ({
+    host, state: b.state, consecutiveFailures: b.failures,
+    openedAt: b.openedAt, retryIn: b.state === 'open' ? Math.max(0, Math.round((b.openedAt + BREAKER_COOLDOWN - Date.now()) / 1000)) : null,
+    requests: b.requests, errors: b.errors, retries: b.retries, timeouts: b.timeouts, rejected: b.rejected,
+    lastError: b.lastError, lastSuccess: b.lastSuccess,
+  }));
 }
 
 // ─── Weather History Storage ────────────────────────────────
 
-function storeMetarSnapshots(fetchTime, metarArray) {
-  if (!Array.isArray(metarArray) || metarArray.length === 0) return 0;
+// Reports may be AWC JSON objects or raw bulletin strings from any other source.
+// Objects that only carry the raw text are decoded too.
+function normalizeMetar(m, refTime) {
+  if (typeof m === 'string') return decodeMetar(m, { refTime });
+  if (m && m.rawOb && m.clouds === undefined && m.visib === undefined) {
+    const decoded = decodeMetar(m.rawOb, { refTime });
+    return decoded ? { ...m, ...decoded } : m;
+  }
+  return m;
+}
+
+function normalizeTaf(t, refTime) {
+  if (typeof t === 'string') return decodeTaf(t, { refTime });
+  if (t && t.rawTAF && t.fcsts === undefined) {
+    const decoded = decodeTaf(t.rawTAF, { refTime });
+    return decoded ? { ...t, ...decoded } : t;
+  }
+  return t;
+}
+
+// Derived metar_history columns (flt_cat ... wx_string) for a decoded METAR
+function metarColumns(m) {
+  const ceiling = getCeilingFromClouds(m.clouds);
+  return [
+    computeFlightCategory(ceiling, m.visib),
+    m.temp ?? null, m.dewp ?? null,
+    m.wdir ?? null, m.wspd ?? null, m.wgst ?? null,
+    m.visib != null ? String(m.visib) : null,
+    m.altim ?? null, ceiling, getLowestCloudBase(m.clouds),
+    m.wxString || null,
+  ];
+}
+
+const TAF_HORIZONS = ['now', '2h', '4h', '8h', '24h'];
+
+// Target times (unix s) of the stored horizons for a TAF fetched at fetchTime
+function tafHorizonTimes(t, fetchTime) {
+  const nowSec = Math.floor(fetchTime.getTime() / 1000);
+  // Clamp to validity start so TAFs fetched before they're valid don't get null cat_now
+  const catNowTime = (t.validTimeFrom && nowSec < t.validTimeFrom) ? t.validTimeFrom : nowSec;
+  return [catNowTime, nowSec + 2 * 3600, nowSec + 4 * 3600, nowSec + 8 * 3600, nowSec + 24 * 3600];
+}
+
+// flt_cat_now ... flt_cat_24h of a TAF as seen at fetch time (stored columns use the default scheme)
+function tafHorizonCategories(t, fetchTime, scheme) {
+  return tafHorizonTimes(t, fetchTime).map(time => getForecastCategoryFromTaf(t, time, scheme));
+}
+
+// outlook_json: { now: { cat, possibleCat, probability }, '2h': ..., ... } — PROB groups as possibilities
+function tafHorizonOutlooks(t, fetchTime, scheme) {
+  const times = tafHorizonTimes(t, fetchTime);
+  const result = {};
+  TAF_HORIZONS.forEach((h, i) => { result[h] = getForecastOutlookFromTaf(t, times[i], scheme); });
+  return result;
+}
+
+// options.historical: reports fetched after the fact (archive import, gap backfill) are stored
+// with their own observation / issue time as fetch_time and log per report at debug level only.
+// Both store helpers return { stored, duplicates, failed }; failed covers reports without an
+// airport and, when the transaction is rolled back, the whole batch.
+function storeMetarSnapshots(fetchTime, metarArray, options = {}) {
+  const result = { stored: 0, duplicates: 0, failed: 0 };
+  if (!Array.isArray(metarArray) || metarArray.length === 0) return result;
   const ft = fetchTime.toISOString();
-  let count = 0;
+  const stored = [];
   db.exec('BEGIN');
   try {
-    for (const m of metarArray) {
-      if (!m.icaoId) continue;
+    for (const item of metarArray) {
+      const m = normalizeMetar(item, fetchTime);
+      if (!m || !m.icaoId) { result.failed++; continue; }
       // Skip if we already have this exact observation
-      if (m.reportTime && metarExistsStmt.get(m.icaoId, m.reportTime)) continue;
-      const ceiling = getCeilingFromClouds(m.clouds);
-      const cloudBase = getLowestCloudBase(m.clouds);
-      insertMetarStmt.run(
-        ft, m.icaoId, computeFlightCategory(ceiling, m.visib),
-        m.temp ?? null, m.dewp ?? null,
-        m.wdir ?? null, m.wspd ?? null, m.wgst ?? null,
-        m.visib != null ? String(m.visib) : null,
-        m.altim ?? null, ceiling, cloudBase,
-        m.wxString || null, m.rawOb || null,
+      if (m.reportTime && metarExistsStmt.get(m.icaoId, m.reportTime)) { result.duplicates++; continue; }
+      const [fltCat, ...weather] = metarColumns(m);
+      const { lastInsertRowid } = insertMetarStmt.run(
+        options.historical && m.reportTime ? m.reportTime : ft, m.icaoId, fltCat, ...weather,
+        m.rawOb || null,
         m.reportTime || null,
         JSON.stringify(m)
       );
-      count++;
+      stored.push({ id: Number(lastInsertRowid), metar: m });
+      closeCoverageGap(m);
+      result.stored++;
     }
     db.exec('COMMIT');
   } catch (err) {
     db.exec('ROLLBACK');
     logError('HISTORY', 'Failed to store METAR snapshots', err.message);
-    return 0;
+    return { stored: 0, duplicates: 0, failed: metarArray.length };
   }
-  return count;
+  recordTafBusts(ft, stored, options.historical);
+  return result;
 }
 
-function storeTafSnapshots(fetchTime, tafArray) {
-  if (!Array.isArray(tafArray) || tafArray.length === 0) return 0;
-  const ft = fetchTime.toISOString();
-  const nowSec = Math.floor(fetchTime.getTime() / 1000);
-  let count = 0;
+// 'AMD' / 'COR' from the decoder or the raw text (AWC JSON has no separate field)
+function tafAmendmentType(t) {
+  if (t.amendment) return t.amendment;
+  const m = (t.rawTAF || '').match(/^(?:TAF\s+)?(AMD|COR)\b/);
+  return m ? m[1] : null;
+}
+
+function normalizeRawText(raw) {
+  return (raw || '').replace(/\s+/g, ' ').trim();
+}
+
+function storeTafSnapshots(fetchTime, tafArray, options = {}) {
+  const result = { stored: 0, duplicates: 0, failed: 0 };
+  if (!Array.isArray(tafArray) || tafArray.length === 0) return result;
+  const log = options.historical ? logDebug : logInfo;
   db.exec('BEGIN');
   try {
-    for (const t of tafArray) {
-      if (!t.icaoId) continue;
-      // Skip if we already have this exact forecast
+    for (const item of tafArray) {
+      const t = normalizeTaf(item, fetchTime);
+      if (!t || !t.icaoId) { result.failed++; continue; }
       const validFrom = t.validTimeFrom ? new Date(t.validTimeFrom * 1000).toISOString() : null;
-      if (validFrom && tafExistsStmt.get(t.icaoId, validFrom)) continue;
-      // Clamp to validity start so TAFs fetched before they're valid don't get null cat_now
-      const catNowTime = (t.validTimeFrom && nowSec < t.validTimeFrom) ? t.validTimeFrom : nowSec;
-      const catNow = getForecastCategoryFromTaf(t, catNowTime);
-      const cat2h = getForecastCategoryFromTaf(t, nowSec + 2 * 3600);
-      const cat4h = getForecastCategoryFromTaf(t, nowSec + 4 * 3600);
-      const cat8h = getForecastCategoryFromTaf(t, nowSec + 8 * 3600);
-      const cat24h = getForecastCategoryFromTaf(t, nowSec + 24 * 3600);
+      const issueTime = t.issueTime ? new Date(t.issueTime).toISOString() : null;
+      // Skip if we already have this exact issue; a different issue of the same validity is a new version
+      let supersedesId = null;
+      let issueSeq = 1;
+      if (validFrom) {
+        if (issueTime && tafVersionExistsStmt.get(t.icaoId, validFrom, issueTime)) { result.duplicates++; continue; }
+        const latest = tafLatestVersionStmt.get(t.icaoId, validFrom);
+        if (latest) {
+          if (normalizeRawText(latest.raw_taf) === normalizeRawText(t.rawTAF)) { result.duplicates++; continue; }
+          // An older issue showing up after a newer one (stale upstream cache) is not a new version
+          if (issueTime && latest.issue_time && issueTime < latest.issue_time) { result.duplicates++; continue; }
+          supersedesId = latest.id;
+          issueSeq = (latest.issue_seq || 1) + 1;
+        }
+      }
       const validTo = t.validTimeTo ? new Date(t.validTimeTo * 1000).toISOString() : null;
+      const amendment = tafAmendmentType(t);
+      // A historical TAF is stored as seen when it was issued
+      const seenAt = options.historical && (issueTime || validFrom) ? new Date(issueTime || validFrom) : fetchTime;
       insertTafStmt.run(
-        ft, t.icaoId, validFrom, validTo,
-        catNow, cat2h, cat4h, cat8h, cat24h,
+        seenAt.toISOString(), t.icaoId, validFrom, validTo,
+        ...tafHorizonCategories(t, seenAt),
         t.rawTAF || null,
-        JSON.stringify(t)
+        JSON.stringify(t),
+        JSON.stringify(tafHorizonOutlooks(t, seenAt)),
+        issueTime, amendment, supersedesId, issueSeq
       );
-      count++;
+      if (supersedesId) {
+        log('HISTORY', `TAF ${t.icaoId} ${amendment || 'reissued'}: version ${issueSeq} of ${validFrom}`, issueTime || '');
+      }
+      result.stored++;
     }
     db.exec('COMMIT');
   } catch (err) {
     db.exec('ROLLBACK');
     logError('HISTORY', 'Failed to store TAF snapshots', err.message);
-    return 0;
+    return { stored: 0, duplicates: 0, failed: tafArray.length };
   }
-  return count;
+  return result;
+}
+
+// ─── TAF Bust Detection ─────────────────────────────────────
+// Every newly stored METAR is checked against the TAF in force at its observation
+// time (getTafBust in flight-category.js, default scheme). Busts go to taf_busts,
+// one row per observation, and are listed by /api/history/busts.
+
+function recordTafBusts(ft, stored, historical) {
+  for (const { id, metar } of stored) {
+    const obsSec = metar.obsTime || (metar.reportTime ? Math.floor(Date.parse(metar.reportTime) / 1000) : null);
+    if (!obsSec) continue;
+    const obsIso = new Date(obsSec * 1000).toISOString();
+    try {
+      const row = tafInForceStmt.get(metar.icaoId, obsIso, obsIso, obsIso);
+      if (!row) continue;
+      const bust = getTafBust(metar, parseJsonColumn(row.taf_json), obsSec);
+      if (!bust) continue;
+      const { changes } = insertBustStmt.run(metar.icaoId, obsIso, ft, bust.observed, bust.forecast, id, row.id);
+      if (changes > 0) {
+        (historical ? logDebug : logInfo)('HISTORY', `TAF bust at ${metar.icaoId}: ${bust.observed} observed, TAF allowed ${bust.forecast}`, metar.rawOb || obsIso);
+      }
+    } catch (err) {
+      logError('HISTORY', `TAF bust check failed for ${metar.icaoId}`, err.message);
+    }
+  }
+}
+
+// ─── Reprocess History from Raw Text ────────────────────────
+// `node server.js --reprocess` re-decodes every stored raw_ob / raw_taf with wx-decoder.js
+// and rewrites the derived columns and JSON. Fields only AWC provides (name, lat, lon, ...)
+// are kept; row identity (fetch_time, report_time, valid_from) is never changed.
+
+function reprocessHistory() {
+  const batchSize = 1000;
+  const result = { metar: 0, taf: 0, failed: 0 };
+
+  const selectMetar = db.prepare('SELECT id, fetch_time, report_time, raw_ob, metar_json FROM metar_history WHERE raw_ob IS NOT NULL AND id > ? ORDER BY id LIMIT ?');
+  const updateMetar = db.prepare(`
+    UPDATE metar_history SET flt_cat = ?, temp = ?, dewp = ?, wdir = ?, wspd = ?, wgst = ?, visib = ?,
+      altim = ?, ceiling = ?, cloud_base = ?, wx_string = ?, metar_json = ?
+    WHERE id = ?
+  `);
+  let lastId = 0;
+  while (true) {
+    const rows = selectMetar.all(lastId, batchSize);
+    if (rows.length === 0) break;
+    db.exec('BEGIN');
+    try {
+      for (const row of rows) {
+        const decoded = decodeMetar(row.raw_ob, { refTime: row.report_time || row.fetch_time });
+        if (!decoded) { result.failed++; continue; }
+        const original = parseJsonColumn(row.metar_json) || {};
+        const m = { ...original, ...decoded, reportTime: original.reportTime ?? decoded.reportTime };
+        updateMetar.run(...metarColumns(m), JSON.stringify(m), row.id);
+        result.metar++;
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  const selectTaf = db.prepare('SELECT id, fetch_time, raw_taf, taf_json FROM taf_history WHERE raw_taf IS NOT NULL AND id > ? ORDER BY id LIMIT ?');
+  const updateTaf = db.prepare(`
+    UPDATE taf_history SET flt_cat_now = ?, flt_cat_2h = ?, flt_cat_4h = ?, flt_cat_8h = ?, flt_cat_24h = ?, valid_to = ?, taf_json = ?, outlook_json = ?
+    WHERE id = ?
+  `);
+  lastId = 0;
+  while (true) {
+    const rows = selectTaf.all(lastId, batchSize);
+    if (rows.length === 0) break;
+    db.exec('BEGIN');
+    try {
+      for (const row of rows) {
+        const fetchTime = new Date(row.fetch_time);
+        const decoded = decodeTaf(row.raw_taf, { refTime: fetchTime });
+        if (!decoded || decoded.validTimeFrom == null) { result.failed++; continue; }
+        const original = parseJsonColumn(row.taf_json) || {};
+        const t = { ...original, ...decoded };
+        const validTo = new Date(t.validTimeTo * 1000).toISOString();
+        updateTaf.run(...tafHorizonCategories(t, fetchTime), validTo, JSON.stringify(t), JSON.stringify(tafHorizonOutlooks(t, fetchTime)), row.id);
+        result.taf++;
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  logInfo('DB', `Reprocessed ${result.metar} METARs, ${result.taf} TAFs from raw text`, result.failed ? `${result.failed} could not be decoded` : '');
+  return result;
+}
+
+// ─── Archive Import ─────────────────────────────────────────
+// Loads archived raw METAR/TAF bulletins, one per line, from `node server.js --import <file...>`
+// or POST /api/admin/import. Understood line layouts (the timestamp resolves the month and
+// year of the DDHHMMZ group; a line holding only a timestamp dates the next line):
+//   201901010020 METAR LOWW 010020Z ...=               (Ogimet)
+//   LOWW,2019,01,01,00,20,METAR LOWW 010020Z ...=      (Ogimet CSV)
+//   LOWW,2019-01-01 00:20,LOWW 010020Z ...             (IEM CSV)
+//   2019/01/01 00:20 + LOWW 010020Z ...                (NOAA cycle files)
+// Reports go through storeTafSnapshots / storeMetarSnapshots, so categories and
+// deduplication (report_time, valid_from + issue_time) match live data.
+
+const IMPORT_BATCH_SIZE = 1000;
+const ARCHIVE_TIME_RE = /(\d{4})[-/,]?(\d{2})[-/,]?(\d{2})[ T,_]?(\d{2}):?,?(\d{2})/;
+const REPORT_START_RE = /\b(?:METAR|SPECI|TAF)\b|\b[A-Z][A-Z0-9]{3} \d{6}Z\b/;
+
+function archiveTime(text) {
+  const m = text.match(ARCHIVE_TIME_RE);
+  if (!m) return null;
+  const t = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]);
+  return isNaN(t) ? null : new Date(t);
+}
+
+// { kind: 'metar' | 'taf', raw, refTime } for a report line; { refTime } for a bare timestamp line
+function parseArchiveLine(line, type) {
+  const text = line.trim();
+  if (!text || text.startsWith('#')) return null;
+  const start = text.search(REPORT_START_RE);
+  if (start === -1) return ARCHIVE_TIME_RE.test(text) ? { refTime: archiveTime(text) } : null;
+  const raw = text.slice(start).replace(/["\s,]+$/, '');
+  let kind = type;
+  if (!kind) {
+    if (/^TAF\b/.test(raw)) kind = 'taf';
+    else if (/^(?:METAR|SPECI)\b/.test(raw)) kind = 'metar';
+    else kind = /\b\d{4}\/\d{4}\b/.test(raw) ? 'taf' : 'metar';
+  }
+  return { kind, raw, refTime: archiveTime(text.slice(0, start)) };
+}
+
+// options: { type: 'metar' | 'taf' (default: detect per line), icao: ['LOWW', ...] }
+async function importArchive(lines, options = {}) {
+  const started = Date.now();
+  const icaoFilter = options.icao && options.icao.length ? new Set(options.icao) : null;
+  const result = { lines: 0, metar: 0, taf: 0, duplicates: 0, undated: 0, undecodable: 0, failed: 0 };
+  let metars = [];
+  let tafs = [];
+  let lastTime = null;
+
+  const flush = () => {
+    // TAFs first, so the bust check of the imported METARs finds them
+    const now = new Date();
+    const tafResult = storeTafSnapshots(now, tafs, { historical: true });
+    const metarResult = storeMetarSnapshots(now, metars, { historical: true });
+    result.taf += tafResult.stored;
+    result.metar += metarResult.stored;
+    result.duplicates += tafResult.duplicates + metarResult.duplicates;
+    result.failed += tafResult.failed + metarResult.failed;
+    metars = [];
+    tafs = [];
+  };
+
+  for await (const line of lines) {
+    result.lines++;
+    const entry = parseArchiveLine(line, options.type);
+    if (!entry) continue;
+    if (!entry.raw) { lastTime = entry.refTime; continue; }
+    const refTime = entry.refTime || lastTime;
+    lastTime = null;
+    if (!refTime) { result.undated++; continue; }
+    const report = entry.kind === 'taf' ? decodeTaf(entry.raw, { refTime }) : decodeMetar(entry.raw, { refTime });
+    const empty = entry.kind === 'taf' ? report?.validTimeFrom == null : report?.nil || (report?.wspd == null && report?.visib == null);
+    if (!report || empty) { result.undecodable++; continue; }
+    if (icaoFilter && !icaoFilter.has(report.icaoId)) continue;
+    (entry.kind === 'taf' ? tafs : metars).push(report);
+    if (metars.length + tafs.length >= IMPORT_BATCH_SIZE) flush();
+  }
+  flush();
+
+  result.durationMs = Date.now() - started;
+  logInfo('DB', `Imported ${result.metar} METARs, ${result.taf} TAFs from archive`,
+    `${result.lines} lines, ${result.duplicates} duplicates, ${result.undated} undated, ${result.undecodable} not decodable, ${result.failed} not stored`);
+  return result;
+}
+
+function archiveLines(stream, gzip) {
+  return readline.createInterface({ input: gzip ? stream.pipe(zlib.createGunzip()) : stream, crlfDelay: Infinity });
+}
+
+// `--import <file...> [--type metar|taf] [--icao LOWW,LOWI]`, files may be gzipped
+async function importArchiveFiles(argv) {
+  const idx = argv.indexOf('--import');
+  const files = [];
+  for (let i = idx + 1; i < argv.length && !argv[i].startsWith('-'); i++) files.push(argv[i]);
+  const typeIdx = argv.indexOf('--type');
+  const icaoIdx = argv.indexOf('--icao');
+  const options = {
+    type: typeIdx !== -1 ? argv[typeIdx + 1] : null,
+    icao: icaoIdx !== -1 ? parseIcaoList(argv[icaoIdx + 1] || '') : null,
+  };
+  if (files.length === 0 || (options.type && !['metar', 'taf'].includes(options.type))) {
+    console.error('Usage: node server.js --import <file...> [--type metar|taf] [--icao LOWW,LOWI]');
+    return 1;
+  }
+  for (const file of files) {
+    try {
+      const r = await importArchive(archiveLines(fs.createReadStream(file), file.endsWith('.gz')), options);
+      console.log(`${file}: ${r.metar} METARs, ${r.taf} TAFs imported (${r.duplicates} duplicates, ${r.undated} undated, ${r.undecodable} not decodable, ${r.failed} not stored)`);
+    } catch (err) {
+      logError('DB', `Archive import of ${file} failed`, err.message);
+      console.error(`${file}: ${err.message}`);
+      return 1;
+    }
+  }
+  return 0;
 }
 
 // ─── Airport List Management ────────────────────────────────
@@ -454,7 +1440,7 @@ async function refreshAirportList() {
     let page = 1;
     const limit = 100;
     while (true) {
-      const url = `https://api.core.openaip.net/api/airports?country=AT&page=${page}&limit=${limit}`;
+      const url = `${getOpenaipBaseUrl()}/api/airports?country=${getConfig('country')}&page=${page}&limit=${limit}`;
       const data = await httpsGetJson(url, { 'x-openaip-api-key': apiKey });
       const items = data.items || data;
       if (Array.isArray(items)) allAirports.push(...items);
@@ -518,69 +1504,493 @@ async function performHistoryFetch() {
   const batchSize = 40;
   let allMetar = [];
   let allTaf = [];
+  let failedBatches = 0;
+  announceScheduler({ fetching: true });
 
   for (let i = 0; i < icaoCodes.length; i += batchSize) {
-    const batch = icaoCodes.slice(i, i + batchSize).join(',');
+    const batchList = icaoCodes.slice(i, i + batchSize);
+    const batch = batchList.join(',');
+    // Each successful batch also refreshes the per-station proxy cache so client requests benefit
     try {
-      const metarUrl = `https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(batch)}&format=json&hours=3`;
+      const metarUrl = `${getAwcBaseUrl()}/api/data/metar?ids=${encodeURIComponent(batch)}&format=json&hours=3`;
       const metarData = await httpsGetJson(metarUrl);
-      if (Array.isArray(metarData)) allMetar.push(...metarData);
+      if (Array.isArray(metarData)) {
+        allMetar.push(...metarData);
+        setStationCache('metar', batchList, metarData, 'schedule');
+      }
     } catch (err) {
+      failedBatches++;
       logWarn('HISTORY', 'METAR batch fetch failed', err.message);
     }
     try {
-      const tafUrl = `https://aviationweather.gov/api/data/taf?ids=${encodeURIComponent(batch)}&format=json`;
+      const tafUrl = `${getAwcBaseUrl()}/api/data/taf?ids=${encodeURIComponent(batch)}&format=json`;
       const tafData = await httpsGetJson(tafUrl);
-      if (Array.isArray(tafData)) allTaf.push(...tafData);
+      if (Array.isArray(tafData)) {
+        allTaf.push(...tafData);
+        setStationCache('taf', batchList, tafData, 'schedule');
+      }
     } catch (err) {
+      failedBatches++;
       logWarn('HISTORY', 'TAF batch fetch failed', err.message);
     }
   }
 
-  const metarCount = storeMetarSnapshots(fetchTime, allMetar);
-  const tafCount = storeTafSnapshots(fetchTime, allTaf);
-
-  // Also update the in-memory cache so client requests benefit
-  if (allMetar.length > 0) {
-    setCache('metar:all', 200, JSON.stringify(allMetar));
-  }
-  if (allTaf.length > 0) {
-    setCache('taf:all', 200, JSON.stringify(allTaf));
-  }
+  // TAFs first, so the bust check of the new METARs sees a TAF issued in the same cycle
+  const tafCount = storeTafSnapshots(fetchTime, allTaf).stored;
+  const metarCount = storeMetarSnapshots(fetchTime, allMetar).stored;
 
   logInfo('HISTORY', `Stored ${metarCount} METARs, ${tafCount} TAFs`, fetchTime.toISOString());
-  return { metarCount, tafCount };
+  announceScheduler({ fetching: false, lastFetch: { time: fetchTime.toISOString(), metarCount, tafCount, failedBatches } });
+  return { metarCount, tafCount, failedBatches };
 }
 
 function scheduleHistoryFetch() {
   if (historyFetchTimer) clearTimeout(historyFetchTimer);
-  nextHistoryFetchTime = Date.now() + HISTORY_FETCH_INTERVAL;
+  const interval = getConfig('historyFetchIntervalMinutes') * 60 * 1000;
+  nextHistoryFetchTime = Date.now() + interval;
   const nextAt = new Date(nextHistoryFetchTime).toISOString();
-  logInfo('SCHEDULER', `Next weather fetch scheduled`, `${HISTORY_FETCH_INTERVAL / 1000 / 60}min from now (${nextAt})`);
+  logInfo('SCHEDULER', `Next weather fetch scheduled`, `${interval / 1000 / 60}min from now (${nextAt})`);
+  announceScheduler({ nextFetchAt: nextAt });
   historyFetchTimer = setTimeout(async () => {
     logInfo('SCHEDULER', 'Scheduled weather fetch triggered');
     try {
       const result = await performHistoryFetch();
       if (result) {
         logInfo('SCHEDULER', `Fetch complete: ${result.metarCount} METARs, ${result.tafCount} TAFs stored`);
+        // Fill what a failed fetch missed once upstream answers again
+        if (result.failedBatches > 0) backfillPending = true;
+        else if (backfillPending) {
+          backfillPending = false;
+          await backfillHistory('after failed fetch');
+        }
       } else {
         logWarn('SCHEDULER', 'Fetch returned no results (no airports tracked)');
       }
-    } catch (err) { logError('SCHEDULER', 'Scheduled fetch failed', err.message); }
+    } catch (err) {
+      backfillPending = true;
+      logError('SCHEDULER', 'Scheduled fetch failed', err.message);
+    }
     scheduleHistoryFetch();
-  }, HISTORY_FETCH_INTERVAL);
+  }, interval);
 }
 
-// ─── Data Purge (3-year retention) ──────────────────────────
-
-function purgeOldData(days) {
-  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-  const metarResult = db.prepare('DELETE FROM metar_history WHERE fetch_time < ?').run(cutoff);
-  const tafResult = db.prepare('DELETE FROM taf_history WHERE fetch_time < ?').run(cutoff);
-  const total = metarResult.changes + tafResult.changes;
-  logInfo('HISTORY', `Purged ${metarResult.changes} METARs + ${tafResult.changes} TAFs older than ${days} days (cutoff: ${cutoff})`);
-  return total;
-}
+// A new interval counts from now; before startup the first schedule picks it up anyway
+onConfigChange('historyFetchIntervalMinutes', () => {
+  if (historyFetchTimer) scheduleHistoryFetch();
+});
+
+// ─── Gap Detection & Backfill ───────────────────────────────
+// The scheduled fetch only asks for the last 3 hours of METARs, so downtime or failed
+// fetches leave holes. backfillHistory() looks for observation hours without a METAR
+// per tracked airport (from its first stored report, at most BACKFILL_MAX_HOURS back),
+// asks aviationweather.gov for the widest window needed and records the hours that are
+// still missing in coverage_gaps. Recorded gaps are not fetched again; a METAR stored
+// inside one later (archive import) splits it via closeCoverageGap().
+
+const HOUR_MS = 60 * 60 * 1000;
+let backfillRunning = false;
+let backfillPending = false;
+
+const metarHoursStmt = db.prepare(`
+  SELECT DISTINCT strftime('%Y-%m-%dT%H', report_time) AS hour FROM metar_history
+  WHERE icao_id = ? AND report_time >= ? AND report_time < ?
+`);
+const gapsInRangeStmt = db.prepare(`
+  SELECT gap_from, gap_to FROM coverage_gaps WHERE icao_id = ? AND gap_to > ? AND gap_from < ? ORDER BY gap_from
+`);
+
+// Missing hours in [fromMs, toMs) as merged ranges [{ from, to }] (ms), leaving out recorded gaps
+function findMissingHours(icao, fromMs, toMs) {
+  const fromIso = new Date(fromMs).toISOString();
+  const toIso = new Date(toMs).toISOString();
+  const have = new Set(metarHoursStmt.all(icao, fromIso, toIso).map(r => r.hour));
+  const known = gapsInRangeStmt.all(icao, fromIso, toIso).map(g => [Date.parse(g.gap_from), Date.parse(g.gap_to)]);
+  const ranges = [];
+  for (let h = fromMs; h < toMs; h += HOUR_MS) {
+    if (have.has(new Date(h).toISOString().slice(0, 13))) continue;
+    if (known.some(([a, b]) => h >= a && h < b)) continue;
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === h) last.to = h + HOUR_MS;
+    else ranges.push({ from: h, to: h + HOUR_MS });
+  }
+  return ranges;
+}
+
+// A METAR stored inside a recorded gap splits it around its hour
+function closeCoverageGap(m) {
+  const obsMs = m.obsTime ? m.obsTime * 1000 : Date.parse(m.reportTime);
+  if (!obsMs) return;
+  const hourStart = Math.floor(obsMs / HOUR_MS) * HOUR_MS;
+  const iso = new Date(obsMs).toISOString();
+  const gap = gapAtStmt.get(m.icaoId, iso, iso);
+  if (!gap) return;
+  deleteGapStmt.run(gap.id);
+  const before = new Date(hourStart).toISOString();
+  const after = new Date(hourStart + HOUR_MS).toISOString();
+  if (gap.gap_from < before) insertGapStmt.run(m.icaoId, gap.gap_from, before, gap.detected_at);
+  if (after < gap.gap_to) insertGapStmt.run(m.icaoId, after, gap.gap_to, gap.detected_at);
+}
+
+// Missing hours per tracked airport that has reported before; the last hour is left out
+// since its METARs may not be published yet
+function detectGaps() {
+  const end = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - HOUR_MS;
+  // First full hour inside the upstream window
+  const earliest = Math.ceil((Date.now() - BACKFILL_MAX_HOURS * HOUR_MS) / HOUR_MS) * HOUR_MS;
+  const firstReport = db.prepare('SELECT MIN(report_time) AS first FROM metar_history WHERE icao_id = ?');
+  const gaps = {};
+  for (const icao of getTrackedIcaoCodes()) {
+    const first = firstReport.get(icao).first;
+    if (!first) continue;
+    const start = Math.max(earliest, Math.floor(Date.parse(first) / HOUR_MS) * HOUR_MS);
+    const ranges = findMissingHours(icao, start, end);
+    if (ranges.length > 0) gaps[icao] = ranges;
+  }
+  return { gaps, end };
+}
+
+async function backfillHistory(reason) {
+  if (backfillRunning) return null;
+  backfillRunning = true;
+  try {
+    const { gaps, end } = detectGaps();
+    const icaos = Object.keys(gaps);
+    const missingHours = icaos.reduce((n, icao) => n + gaps[icao].reduce((h, r) => h + (r.to - r.from) / HOUR_MS, 0), 0);
+    if (icaos.length === 0) {
+      logDebug('HISTORY', `No observation gaps (${reason})`);
+      return { airports: 0, missingHours: 0, recovered: 0, remainingHours: 0 };
+    }
+    logInfo('HISTORY', `Backfilling ${missingHours} missing hours at ${icaos.length} airports (${reason})`);
+
+    const fetchTime = new Date();
+    const batchSize = 40;
+    const fetched = [];
+    let recovered = 0;
+    let failed = 0;
+    for (let i = 0; i < icaos.length; i += batchSize) {
+      const batchList = icaos.slice(i, i + batchSize);
+      const oldest = Math.min(...batchList.map(icao => gaps[icao][0].from));
+      const hours = Math.min(BACKFILL_MAX_HOURS, Math.ceil((Date.now() - oldest) / HOUR_MS) + 1);
+      try {
+        const url = `${getAwcBaseUrl()}/api/data/metar?ids=${encodeURIComponent(batchList.join(','))}&format=json&hours=${hours}`;
+        const data = await httpsGetJson(url);
+        if (Array.isArray(data)) recovered += storeMetarSnapshots(fetchTime, data, { historical: true }).stored;
+        fetched.push(...batchList);
+      } catch (err) {
+        failed++;
+        logWarn('HISTORY', 'Backfill batch fetch failed', err.message);
+      }
+    }
+
+    // What upstream could not deliver stays missing; failed batches are retried next time
+    let remainingHours = 0;
+    const detectedAt = new Date().toISOString();
+    db.exec('BEGIN');
+    try {
+      for (const icao of fetched) {
+        for (const r of findMissingHours(icao, gaps[icao][0].from, end)) {
+          insertGapStmt.run(icao, new Date(r.from).toISOString(), new Date(r.to).toISOString(), detectedAt);
+          remainingHours += (r.to - r.from) / HOUR_MS;
+        }
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      logError('HISTORY', 'Failed to record coverage gaps', err.message);
+    }
+    if (failed > 0) backfillPending = true;
+    logInfo('HISTORY', `Backfill recovered ${recovered} METARs`, `${remainingHours} hours without data recorded as gaps${failed ? `, ${failed} batches failed` : ''}`);
+    return { airports: icaos.length, missingHours, recovered, remainingHours, failed };
+  } finally {
+    backfillRunning = false;
+  }
+}
+
+// ─── Storage Compaction ─────────────────────────────────────
+// Rows older than compactAfterDays keep their extracted columns, but metar_json, taf_json
+// and outlook_json are deflated into BLOBs (lossless; parseJsonColumn inflates them).
+// With compactHourlyMetars only the first METAR per airport and UTC hour survives past that
+// age, except METARs a TAF bust points at. Freed pages go back to the file system through
+// incremental vacuum. Work is done in small batches so requests are served in between.
+
+const COMPACT_BATCH_SIZE = 500;
+const VACUUM_STEP_PAGES = 1000; // 4 MB at the default page size
+const TABLE_SIZE_TTL = 10 * 60 * 1000; // dbstat reads every page, so its result is cached
+let compactionRunning = false;
+let tableSizeCache = null;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+function pragmaValue(name) {
+  return Object.values(db.prepare(`PRAGMA ${name}`).get())[0];
+}
+
+function dbFileBytes() {
+  return pragmaValue('page_count') * pragmaValue('page_size');
+}
+
+// Bytes per table including its indexes, or null where SQLite was built without dbstat
+function tableSizes() {
+  if (tableSizeCache && Date.now() - tableSizeCache.time < TABLE_SIZE_TTL) return tableSizeCache.sizes;
+  let sizes = null;
+  try {
+    sizes = {};
+    for (const row of db.prepare(`
+      SELECT s.tbl_name AS name, SUM(d.pgsize) AS bytes
+      FROM dbstat d JOIN sqlite_schema s ON s.name = d.name
+      GROUP BY s.tbl_name ORDER BY bytes DESC
+    `).all()) {
+      sizes[row.name] = row.bytes;
+    }
+  } catch (e) {
+    sizes = null;
+  }
+  tableSizeCache = { sizes, time: Date.now() };
+  return sizes;
+}
+
+async function compressJsonColumns(table, columns, cutoff) {
+  const select = db.prepare(`
+    SELECT id, ${columns.join(', ')} FROM ${table}
+    WHERE id > ? AND fetch_time < ? AND (${columns.map(c => `typeof(${c}) = 'text'`).join(' OR ')})
+    ORDER BY id LIMIT ?
+  `);
+  const update = db.prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`);
+  let lastId = 0;
+  let count = 0;
+  while (true) {
+    const rows = select.all(lastId, cutoff, COMPACT_BATCH_SIZE);
+    if (rows.length === 0) break;
+    db.exec('BEGIN');
+    try {
+      for (const row of rows) {
+        update.run(...columns.map(c => (typeof row[c] === 'string' ? zlib.deflateSync(row[c]) : row[c])), row.id);
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+    count += rows.length;
+    lastId = rows[rows.length - 1].id;
+    await yieldToEventLoop();
+  }
+  return count;
+}
+
+// Keeps the first METAR of each UTC hour before the cutoff, one airport per statement
+async function thinMetarsToHourly(cutoff) {
+  const thin = db.prepare(`
+    DELETE FROM metar_history WHERE id IN (
+      SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (
+          PARTITION BY strftime('%Y-%m-%dT%H', COALESCE(report_time, fetch_time))
+          ORDER BY COALESCE(report_time, fetch_time), id
+        ) AS n
+        FROM metar_history WHERE icao_id = ? AND fetch_time < ?
+      ) WHERE n > 1
+    ) AND id NOT IN (SELECT metar_id FROM taf_busts WHERE metar_id IS NOT NULL)
+  `);
+  const icaos = db.prepare('SELECT DISTINCT icao_id FROM metar_history WHERE fetch_time < ?').all(cutoff).map(r => r.icao_id);
+  let count = 0;
+  for (const icao of icaos) {
+    count += thin.run(icao, cutoff).changes;
+    await yieldToEventLoop();
+  }
+  return count;
+}
+
+// auto_vacuum can only be switched on by rebuilding the file once with a full VACUUM, which
+// blocks everything until it is done; so only `--compact` (server stopped) does it
+function ensureIncrementalVacuum() {
+  if (pragmaValue('auto_vacuum') === 2) return;
+  const started = Date.now();
+  logInfo('DB', 'Switching to incremental auto-vacuum: one-time full VACUUM, this can take a while');
+  db.exec('PRAGMA auto_vacuum = INCREMENTAL');
+  db.exec('VACUUM');
+  logInfo('DB', 'Switched to incremental auto-vacuum', `${Date.now() - started}ms`);
+}
+
+async function incrementalVacuum() {
+  let free = pragmaValue('freelist_count');
+  while (free > 0) {
+    db.exec(`PRAGMA incremental_vacuum(${VACUUM_STEP_PAGES})`);
+    const left = pragmaValue('freelist_count');
+    if (left >= free) break;
+    free = left;
+    await yieldToEventLoop();
+  }
+}
+
+async function compactHistory(reason) {
+  if (compactionRunning) {
+    logWarn('DB', `Compaction (${reason}) skipped, another run is in progress`);
+    return null;
+  }
+  compactionRunning = true;
+  const started = Date.now();
+  try {
+    const { afterDays, hourlyMetars } = getCompactionSettings();
+    const cutoff = new Date(started - afterDays * 24 * 60 * 60 * 1000).toISOString();
+    const bytesBefore = dbFileBytes();
+    if (reason === '--compact') ensureIncrementalVacuum();
+    const incremental = pragmaValue('auto_vacuum') === 2;
+    if (!incremental) {
+      logWarn('DB', 'Compaction cannot release free pages: auto_vacuum is not incremental',
+        'stop the server and run `node server.js --compact` once to switch (one full VACUUM)');
+    }
+
+    const thinned = hourlyMetars ? await thinMetarsToHourly(cutoff) : 0;
+    const compressed = await compressJsonColumns('metar_history', ['metar_json'], cutoff)
+      + await compressJsonColumns('taf_history', ['taf_json', 'outlook_json'], cutoff);
+    if (incremental) await incrementalVacuum();
+
+    const run = {
+      run_at: new Date().toISOString(), cutoff, compressed_rows: compressed, thinned_metars: thinned,
+      bytes_before: bytesBefore, bytes_after: dbFileBytes(), duration_ms: Date.now() - started,
+    };
+    db.prepare(`
+      INSERT INTO compaction_runs (run_at, cutoff, compressed_rows, thinned_metars, bytes_before, bytes_after, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(run.run_at, run.cutoff, run.compressed_rows, run.thinned_metars, run.bytes_before, run.bytes_after, run.duration_ms);
+    tableSizeCache = null;
+
+    const reclaimedMb = Math.round((run.bytes_before - run.bytes_after) / 104857.6) / 10;
+    logInfo('DB', `Compaction (${reason}): ${compressed} rows compressed, ${thinned} METARs thinned, ${reclaimedMb} MB reclaimed`,
+      `older than ${afterDays} days (${cutoff}), ${run.duration_ms}ms`);
+    return run;
+  } finally {
+    compactionRunning = false;
+  }
+}
+
+// Daily, counted from the last run so restarts do not compact more often
+function scheduleCompaction() {
+  const last = db.prepare('SELECT MAX(run_at) AS t FROM compaction_runs').get().t;
+  const dueIn = last ? Math.max(0, new Date(last).getTime() + COMPACTION_INTERVAL - Date.now()) : 0;
+  const run = () => compactHistory('scheduled').catch(err => logError('DB', 'Compaction failed', err.message));
+  setTimeout(() => {
+    run();
+    setInterval(run, COMPACTION_INTERVAL);
+  }, dueIn);
+}
+
+// ─── Retention Policies ─────────────────────────────────────
+// Rules from data/config.json decide how long each table keeps the rows of each airport:
+//   "retention": {
+//     "classes": { "major": ["LOWW", "LOWS", "LOWI"] },
+//     "rules": [{ "table": "*", "class": "major", "keepDays": null }, { "table": "*", "keepDays": 365 }]
+//   }
+// The first rule whose table ("*" = all) and class (omitted = any airport) match wins;
+// keepDays null keeps forever, and airports no rule matches are never purged. Age is
+// measured from the observation (METAR, bust), the end of validity (TAF) or the end of a gap.
+// Every run that deletes is recorded in retention_audit.
+
+const RETENTION_TABLES = {
+  metar: { table: 'metar_history', age: 'COALESCE(report_time, fetch_time)' },
+  taf: { table: 'taf_history', age: 'COALESCE(valid_to, fetch_time)' },
+  busts: { table: 'taf_busts', age: 'obs_time' },
+  gaps: { table: 'coverage_gaps', age: 'gap_to' },
+};
+let retentionRunning = false;
+
+// Invalid rules are reported in `errors`; no purge runs while there are any, since
+// dropping a "keep" rule would hand its airports to the next, shorter rule
+function getRetentionPolicy() {
+  const retention = getConfig('retention');
+  const policy = { classes: {}, rules: [], errors: [] };
+  for (const [name, icaos] of Object.entries(retention.classes || {})) {
+    if (Array.isArray(icaos)) policy.classes[name] = icaos.map(i => String(i).trim().toUpperCase());
+    else policy.errors.push(`Class ${name}: expected a list of ICAO codes`);
+  }
+  (Array.isArray(retention.rules) ? retention.rules : []).forEach((rule, i) => {
+    const table = rule.table ?? '*';
+    const keepDays = rule.keepDays ?? null;
+    if (table !== '*' && !RETENTION_TABLES[table]) policy.errors.push(`Rule ${i + 1}: unknown table ${table}`);
+    else if (rule.class != null && !policy.classes[rule.class]) policy.errors.push(`Rule ${i + 1}: unknown class ${rule.class}`);
+    else if (keepDays !== null && !(Number.isInteger(keepDays) && keepDays >= 1)) policy.errors.push(`Rule ${i + 1}: keepDays must be a whole number of days or null`);
+    else policy.rules.push({ table, class: rule.class ?? null, keepDays });
+  });
+  return policy;
+}
+
+function airportClass(policy, icao) {
+  return Object.keys(policy.classes).find(name => policy.classes[name].includes(icao)) || null;
+}
+
+// Rows each rule would delete, per table and airport (only entries with rows to delete)
+function planRetention(policy, now = Date.now()) {
+  const plan = [];
+  for (const [key, spec] of Object.entries(RETENTION_TABLES)) {
+    const count = db.prepare(`SELECT COUNT(*) AS c FROM ${spec.table} WHERE icao_id = ? AND ${spec.age} < ?`);
+    for (const { icao_id: icao } of db.prepare(`SELECT DISTINCT icao_id FROM ${spec.table}`).all()) {
+      const cls = airportClass(policy, icao);
+      const rule = policy.rules.find(r => (r.table === '*' || r.table === key) && (r.class === null || r.class === cls));
+      if (!rule || rule.keepDays === null) continue;
+      const cutoff = new Date(now - rule.keepDays * 24 * 60 * 60 * 1000).toISOString();
+      const rows = count.get(icao, cutoff).c;
+      if (rows > 0) plan.push({ table: key, icao, class: cls, keepDays: rule.keepDays, cutoff, rows });
+    }
+  }
+  return plan;
+}
+
+async function applyRetention(policy, trigger) {
+  if (retentionRunning) {
+    logWarn('SYSTEM', `Retention purge (${trigger}) skipped, another run is in progress`);
+    return null;
+  }
+  retentionRunning = true;
+  const started = Date.now();
+  try {
+    const plan = planRetention(policy, started);
+    const deleted = {};
+    let total = 0;
+    for (const item of plan) {
+      const spec = RETENTION_TABLES[item.table];
+      item.rows = db.prepare(`DELETE FROM ${spec.table} WHERE icao_id = ? AND ${spec.age} < ?`).run(item.icao, item.cutoff).changes;
+      deleted[item.table] = (deleted[item.table] || 0) + item.rows;
+      total += item.rows;
+      await yieldToEventLoop();
+    }
+    const run = { run_at: new Date().toISOString(), trigger, deleted, total, items: plan, duration_ms: Date.now() - started };
+    if (total > 0) {
+      db.prepare(`
+        INSERT INTO retention_audit (run_at, trigger, policy_json, deleted_json, total_deleted, duration_ms)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(run.run_at, trigger, JSON.stringify({ classes: policy.classes, rules: policy.rules }), JSON.stringify(plan), total, run.duration_ms);
+    }
+    const summary = Object.keys(RETENTION_TABLES).map(t => `${deleted[t] || 0} ${t}`).join(', ');
+    logInfo('SYSTEM', `Retention purge (${trigger}): ${total} rows deleted`, `${summary}, ${run.duration_ms}ms`);
+    return run;
+  } finally {
+    retentionRunning = false;
+  }
+}
+
+async function runScheduledRetention() {
+  const policy = getRetentionPolicy();
+  if (policy.errors.length > 0) {
+    logError('SYSTEM', 'Retention purge skipped, invalid rules in config.json', policy.errors.join('; '));
+    return;
+  }
+  if (policy.rules.length === 0) {
+    logDebug('SYSTEM', 'No retention rules configured, nothing purged');
+    return;
+  }
+  await applyRetention(policy, 'scheduled');
+}
+
+// Once after startup, then daily
+let nextRetentionRunTime = null;
+function scheduleRetention() {
+  const run = () => {
+    nextRetentionRunTime = Date.now() + RETENTION_INTERVAL;
+    runScheduledRetention().catch(err => logError('SYSTEM', 'Retention purge failed', err.message));
+  };
+  run();
+  setInterval(run, RETENTION_INTERVAL);
+}
 
 // Refresh airport list weekly
 setInterval(() => {
@@ -588,6 +1998,12 @@ setInterval(() => {
   refreshAirportList().catch(e => logError('SCHEDULER', 'Airport list refresh failed', e.message));
 }, AIRPORT_LIST_REFRESH_INTERVAL);
 
+// Airports of the new country are tracked from the next history fetch on
+onConfigChange('country', country => {
+  logInfo('SCHEDULER', `Country changed to ${country}, refreshing airport list`);
+  refreshAirportList().catch(e => logError('SCHEDULER', 'Airport list refresh failed', e.message));
+});
+
 function getCached(key, ttl) {
   const entry = cache.get(key);
   if (!entry) return null;
@@ -598,6 +2014,18 @@ function getCached(key, ttl) {
   return entry;
 }
 
+// Like getCached, but keeps expired entries until maxStale and reports whether they are stale
+function getCachedOrStale(key, ttl, maxStale) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  const age = Date.now() - entry.time;
+  if (age > maxStale) {
+    cache.delete(key);
+    return null;
+  }
+  return { entry, stale: age > ttl };
+}
+
 function setCache(key, statusCode, body) {
   cache.set(key, { statusCode, body, time: Date.now() });
 }
@@ -605,8 +2033,8 @@ function setCache(key, statusCode, body) {
 // API call statistics
 const serverStartTime = Date.now();
 const stats = {
-  metar: { total: 0, cached: 0, errors: 0, log: [] },
-  taf:   { total: 0, cached: 0, errors: 0, log: [] },
+  metar: { total: 0, cached: 0, stale: 0, coalesced: 0, errors: 0, log: [] },
+  taf:   { total: 0, cached: 0, stale: 0, coalesced: 0, errors: 0, log: [] },
   airports: { total: 0, cached: 0, errors: 0, log: [] },
 };
 const MAX_LOG_ENTRIES = 100;
@@ -648,144 +2076,244 @@ function serveStatic(req, res, pathname) {
   });
 }
 
-async function proxyMetar(req, res, query) {
-  const ids = query.ids || '';
-  if (!ids) {
-    res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Missing ids parameter' }));
-    return;
+// ─── Per-Station Weather Cache ──────────────────────────────
+// METAR and TAF responses are cached per station under `metar:{ICAO}` /
+// `taf:{ICAO}`. Each entry's body is the JSON of that station's latest report,
+// or `null` when upstream had nothing for it, so stations without a METAR/TAF
+// service are not re-fetched on every request.
+
+const WEATHER_TYPES = {
+  metar: { label: 'METAR', path: '/api/data/metar', store: storeMetarSnapshots },
+  taf:   { label: 'TAF',   path: '/api/data/taf',   store: storeTafSnapshots },
+};
+
+function parseIcaoList(ids) {
+  const seen = new Set();
+  for (const raw of String(ids || '').split(',')) {
+    const icao = raw.trim().toUpperCase();
+    if (/^[A-Z0-9]{3,4}$/.test(icao)) seen.add(icao);
   }
+  return [...seen];
+}
 
-  const force = query.force === '1';
-  stats.metar.total++;
-  const cacheKey = 'metar:all';
+// Sort key for picking the most recent report when upstream returns several per station
+function reportSortKey(type, item) {
+  if (type === 'metar') return item.obsTime || (item.reportTime ? Date.parse(item.reportTime) / 1000 : 0);
+  return item.issueTime ? Date.parse(item.issueTime) / 1000 : (item.validTimeFrom || 0);
+}
 
-  if (force) {
-    cache.delete(cacheKey);
-    logDebug('METAR', 'Cache invalidated (force refresh)');
-    // Reset the 2h history fetch timer on manual refresh
-    logInfo('SCHEDULER', 'Timer reset by manual refresh');
-    scheduleHistoryFetch();
+function latestByStation(type, items) {
+  const latest = new Map();
+  for (const item of items) {
+    if (!item || !item.icaoId) continue;
+    const prev = latest.get(item.icaoId);
+    if (!prev || reportSortKey(type, item) >= reportSortKey(type, prev)) latest.set(item.icaoId, item);
   }
+  return latest;
+}
 
-  const cached = getCached(cacheKey, WEATHER_CACHE_TTL);
-  if (cached) {
-    stats.metar.cached++;
-    logCall('metar', { time: Date.now(), cached: true, age: Math.round((Date.now() - cached.time) / 1000) });
-    logDebug('METAR', `Cache hit (age ${Math.round((Date.now() - cached.time) / 1000)}s)`);
-    res.writeHead(cached.statusCode, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time', 'X-Cache': 'HIT', 'X-Fetch-Time': new Date(cached.time).toISOString() });
-    res.end(cached.body);
-    return;
+// The raw text tells a new report from the same one fetched again
+function reportText(type, item) {
+  return item ? (type === 'metar' ? item.rawOb : item.rawTAF) || JSON.stringify(item) : null;
+}
+
+// Cache every requested station; ones upstream didn't return are cached as null.
+// Stations with a new report are announced to live event clients.
+function setStationCache(type, icaoList, items, source) {
+  const latest = latestByStation(type, items);
+  const changes = [];
+  for (const [icao, item] of latest) {
+    const entry = cache.get(`${type}:${icao}`);
+    let previous = null;
+    try { previous = entry ? JSON.parse(entry.body) : null; } catch (e) {}
+    if (reportText(type, item) !== reportText(type, previous)) changes.push({ icao, previous, item });
   }
+  for (const icao of icaoList) {
+    const item = latest.get(icao);
+    setCache(`${type}:${icao}`, 200, item ? JSON.stringify(item) : 'null');
+  }
+  for (const [icao, item] of latest) {
+    if (!icaoList.includes(icao)) setCache(`${type}:${icao}`, 200, JSON.stringify(item));
+  }
+  if (changes.length > 0) announceWeather(type, changes, source);
+}
 
-  const startTime = Date.now();
-  const icaoList = ids.split(',');
+async function fetchStationsUpstream(type, icaoList) {
+  const { label, path: apiPath } = WEATHER_TYPES[type];
   const batchSize = 40;
-  let allResults = [];
-
-  try {
-    for (let i = 0; i < icaoList.length; i += batchSize) {
-      const batch = icaoList.slice(i, i + batchSize).join(',');
-      const url = `https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(batch)}&format=json`;
-      logDebug('METAR', `Fetching from upstream`, url);
-      const data = await httpsGetJson(url);
-      if (Array.isArray(data)) allResults.push(...data);
-    }
+  const results = [];
+  for (let i = 0; i < icaoList.length; i += batchSize) {
+    const batch = icaoList.slice(i, i + batchSize);
+    const url = `${getAwcBaseUrl()}${apiPath}?ids=${encodeURIComponent(batch.join(','))}&format=json`;
+    logDebug(label, 'Fetching from upstream', url);
+    const data = await httpsGetJson(url);
+    const items = Array.isArray(data) ? data : [];
+    setStationCache(type, batch, items, 'proxy');
+    results.push(...items);
+  }
+  return results;
+}
 
-    const duration = Date.now() - startTime;
-    const body = JSON.stringify(allResults);
-    logDebug('METAR', `Upstream complete`, `${allResults.length} results, ${body.length} bytes, ${duration}ms`);
+// ─── Single-Flight Upstream Fetches ─────────────────────────
+// In-flight upstream fetches keyed by `type:ICAO`. Concurrent requests that
+// need the same station await the pending fetch instead of starting their own.
 
-    setCache(cacheKey, 200, body);
-    storeMetarSnapshots(new Date(), allResults);
+const inflight = new Map();
 
-    logCall('metar', { time: Date.now(), cached: false, status: 200, bytes: body.length, duration });
-    res.writeHead(200, {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time',
-      'X-Cache': 'MISS',
-      'X-Fetch-Time': new Date().toISOString(),
-    });
-    res.end(body);
-  } catch (err) {
-    const duration = Date.now() - startTime;
-    stats.metar.errors++;
-    logCall('metar', { time: Date.now(), cached: false, error: err.message, duration });
-    logError('METAR', 'Proxy error', err.message);
-    res.writeHead(502, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Failed to fetch METAR data' }));
+function fetchStationsShared(type, icaoList) {
+  const { label, store } = WEATHER_TYPES[type];
+  const pending = new Set();
+  const toFetch = [];
+  for (const icao of icaoList) {
+    const p = inflight.get(`${type}:${icao}`);
+    if (p) pending.add(p);
+    else toFetch.push(icao);
+  }
+  if (toFetch.length > 0) {
+    const startTime = Date.now();
+    const p = fetchStationsUpstream(type, toFetch)
+      .then(items => {
+        logDebug(label, 'Upstream complete', `${toFetch.length} stations requested, ${items.length} results, ${Date.now() - startTime}ms`);
+        if (items.length > 0) store(new Date(), items);
+        return items;
+      })
+      .finally(() => {
+        for (const icao of toFetch) {
+          if (inflight.get(`${type}:${icao}`) === p) inflight.delete(`${type}:${icao}`);
+        }
+      });
+    for (const icao of toFetch) inflight.set(`${type}:${icao}`, p);
+    pending.add(p);
   }
+  return { promises: [...pending], fetched: toFetch.length, joined: icaoList.length - toFetch.length };
+}
+
+function refreshInBackground(type, icaoList) {
+  const { promises } = fetchStationsShared(type, icaoList);
+  Promise.all(promises).catch(err => logWarn(WEATHER_TYPES[type].label, 'Background refresh failed, serving stale data', err.message));
 }
 
-async function proxyTaf(req, res, query) {
-  const ids = query.ids || '';
-  if (!ids) {
+async function proxyWeather(type, req, res, query) {
+  const { label } = WEATHER_TYPES[type];
+  const icaoList = parseIcaoList(query.ids);
+  if (icaoList.length === 0) {
     res.writeHead(400, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Missing ids parameter' }));
     return;
   }
 
   const force = query.force === '1';
-  stats.taf.total++;
-  const cacheKey = 'taf:all';
+  stats[type].total++;
 
   if (force) {
-    cache.delete(cacheKey);
-    logDebug('TAF', 'Cache invalidated (force refresh)');
+    // Entries are kept (not deleted) so they remain a fallback if upstream is down
+    logDebug(label, `Cache bypassed for ${icaoList.length} stations (force refresh)`);
+    if (type === 'metar') {
+      // Reset the history fetch timer on manual refresh
+      logInfo('SCHEDULER', 'Timer reset by manual refresh');
+      scheduleHistoryFetch();
+    }
   }
 
-  const cached = getCached(cacheKey, WEATHER_CACHE_TTL);
-  if (cached) {
-    stats.taf.cached++;
-    logCall('taf', { time: Date.now(), cached: true, age: Math.round((Date.now() - cached.time) / 1000) });
-    logDebug('TAF', `Cache hit (age ${Math.round((Date.now() - cached.time) / 1000)}s)`);
-    res.writeHead(cached.statusCode, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', 'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time', 'X-Cache': 'HIT', 'X-Fetch-Time': new Date(cached.time).toISOString() });
-    res.end(cached.body);
-    return;
+  const cacheTtl = getConfig('weatherCacheTtlMinutes') * 60 * 1000;
+  const maxStale = getConfig('weatherMaxStaleMinutes') * 60 * 1000;
+  const entries = new Map();
+  const staleList = [];
+  const missing = [];
+  for (const icao of icaoList) {
+    const hit = getCachedOrStale(`${type}:${icao}`, cacheTtl, maxStale);
+    if (hit && !force) {
+      entries.set(icao, hit.entry);
+      if (hit.stale) staleList.push(icao);
+    } else {
+      missing.push(icao);
+    }
   }
 
-  const startTime = Date.now();
-  const icaoList = ids.split(',');
-  const batchSize = 40;
-  let allResults = [];
+  if (staleList.length > 0) {
+    logDebug(label, `Serving ${staleList.length} stale stations, refreshing in background`);
+    refreshInBackground(type, staleList);
+  }
 
-  try {
-    for (let i = 0; i < icaoList.length; i += batchSize) {
-      const batch = icaoList.slice(i, i + batchSize).join(',');
-      const url = `https://aviationweather.gov/api/data/taf?ids=${encodeURIComponent(batch)}&format=json`;
-      logDebug('TAF', 'Fetching from upstream', url);
-      const data = await httpsGetJson(url);
-      if (Array.isArray(data)) allResults.push(...data);
+  const startTime = Date.now();
+  let fetchError = null;
+  if (missing.length > 0) {
+    const shared = fetchStationsShared(type, missing);
+    if (shared.joined > 0) stats[type].coalesced++;
+    const settled = await Promise.allSettled(shared.promises);
+    const failed = settled.find(s => s.status === 'rejected');
+    if (failed) fetchError = failed.reason;
+    for (const icao of missing) {
+      const entry = cache.get(`${type}:${icao}`);
+      if (!entry) continue;
+      // After a failed fetch, fall back to whatever is within the staleness limit
+      const age = Date.now() - entry.time;
+      if (age > maxStale) continue;
+      entries.set(icao, entry);
+      if (age > cacheTtl) staleList.push(icao);
     }
+  }
 
+  if (fetchError && entries.size === 0) {
     const duration = Date.now() - startTime;
-    const body = JSON.stringify(allResults);
-    logDebug('TAF', `Upstream complete`, `${allResults.length} results, ${body.length} bytes, ${duration}ms`);
-
-    setCache(cacheKey, 200, body);
-    storeTafSnapshots(new Date(), allResults);
-
-    logCall('taf', { time: Date.now(), cached: false, status: 200, bytes: body.length, duration });
-    res.writeHead(200, {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time',
-      'X-Cache': 'MISS',
-      'X-Fetch-Time': new Date().toISOString(),
-    });
-    res.end(body);
-  } catch (err) {
-    const duration = Date.now() - startTime;
-    stats.taf.errors++;
-    logCall('taf', { time: Date.now(), cached: false, error: err.message, duration });
-    logError('TAF', 'Proxy error', err.message);
+    stats[type].errors++;
+    logCall(type, { time: Date.now(), cached: false, error: fetchError.message, duration });
+    logError(label, 'Proxy error', fetchError.message);
     res.writeHead(502, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Failed to fetch TAF data' }));
+    res.end(JSON.stringify({ error: `Failed to fetch ${label} data` }));
+    return;
+  }
+  if (fetchError) {
+    stats[type].errors++;
+    logWarn(label, 'Upstream fetch failed, serving cached stations only', fetchError.message);
+  }
+
+  const results = [];
+  let oldest = Date.now();
+  for (const icao of icaoList) {
+    const entry = entries.get(icao);
+    if (!entry) continue;
+    if (entry.time < oldest) oldest = entry.time;
+    const item = JSON.parse(entry.body);
+    if (item) results.push(item);
   }
+  const body = JSON.stringify(results);
+  const age = Math.round((Date.now() - oldest) / 1000);
+
+  let cacheStatus = 'HIT';
+  if (staleList.length > 0) cacheStatus = 'STALE';
+  else if (missing.length > 0) cacheStatus = 'MISS';
+
+  if (missing.length === 0) {
+    stats[type].cached++;
+    if (cacheStatus === 'STALE') stats[type].stale++;
+    logCall(type, { time: Date.now(), cached: true, stale: cacheStatus === 'STALE', age });
+    logDebug(label, `Cache ${cacheStatus === 'STALE' ? 'stale hit' : 'hit'} for ${icaoList.length} stations (oldest ${age}s)`);
+  } else {
+    if (cacheStatus === 'STALE') stats[type].stale++;
+    logCall(type, { time: Date.now(), cached: false, status: 200, bytes: body.length, stations: missing.length, stale: cacheStatus === 'STALE', duration: Date.now() - startTime });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time, Age',
+    'X-Cache': cacheStatus,
+    'X-Fetch-Time': new Date(oldest).toISOString(),
+    'Age': String(age),
+  });
+  res.end(body);
 }
 
-function proxyAirports(req, res, query) {
+function proxyMetar(req, res, query) {
+  return proxyWeather('metar', req, res, query);
+}
+
+function proxyTaf(req, res, query) {
+  return proxyWeather('taf', req, res, query);
+}
+
+async function proxyAirports(req, res, query) {
   const apiKey = getApiKey();
   if (!apiKey) {
     res.writeHead(401, { 'Content-Type': 'application/json' });
@@ -793,7 +2321,7 @@ function proxyAirports(req, res, query) {
     return;
   }
 
-  const country = query.country || 'AT';
+  const country = query.country || getConfig('country');
   const page = query.page || '1';
   const limit = query.limit || '100';
   const force = query.force === '1';
@@ -816,51 +2344,43 @@ function proxyAirports(req, res, query) {
     return;
   }
 
-  const openaipUrl = `https://api.core.openaip.net/api/airports?country=${encodeURIComponent(country)}&page=${encodeURIComponent(page)}&limit=${encodeURIComponent(limit)}`;
+  const openaipUrl = `${getOpenaipBaseUrl()}/api/airports?country=${encodeURIComponent(country)}&page=${encodeURIComponent(page)}&limit=${encodeURIComponent(limit)}`;
   const startTime = Date.now();
 
   logDebug('AIRPORTS', 'Fetching from upstream', openaipUrl);
 
-  const parsed = new URL(openaipUrl);
-  https.get({
-    hostname: parsed.hostname,
-    path: parsed.pathname + parsed.search,
-    headers: { 'x-openaip-api-key': apiKey },
-  }, (proxyRes) => {
-    let body = '';
-    proxyRes.on('data', chunk => body += chunk);
-    proxyRes.on('end', () => {
-      const duration = Date.now() - startTime;
-      logDebug('AIRPORTS', `Upstream response ${proxyRes.statusCode}`, `${body.length} bytes, ${duration}ms`);
-      if (proxyRes.statusCode === 200) setCache(cacheKey, proxyRes.statusCode, body);
-      logCall('airports', { time: Date.now(), cached: false, status: proxyRes.statusCode, bytes: body.length, duration });
-      res.writeHead(proxyRes.statusCode, {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time',
-        'X-Cache': 'MISS',
-        'X-Fetch-Time': new Date().toISOString(),
-      });
-      res.end(body);
+  try {
+    const upstream = await upstreamGet(openaipUrl, { 'x-openaip-api-key': apiKey });
+    const duration = Date.now() - startTime;
+    logDebug('AIRPORTS', `Upstream response ${upstream.statusCode}`, `${upstream.body.length} bytes, ${duration}ms`);
+    if (upstream.statusCode === 200) setCache(cacheKey, upstream.statusCode, upstream.body);
+    logCall('airports', { time: Date.now(), cached: false, status: upstream.statusCode, bytes: upstream.body.length, duration });
+    res.writeHead(upstream.statusCode, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'X-Cache, X-Fetch-Time',
+      'X-Cache': 'MISS',
+      'X-Fetch-Time': new Date().toISOString(),
     });
-  }).on('error', (err) => {
+    res.end(upstream.body);
+  } catch (err) {
     stats.airports.errors++;
     logCall('airports', { time: Date.now(), cached: false, error: err.message, duration: Date.now() - startTime });
     logError('AIRPORTS', 'Proxy error', err.message);
     res.writeHead(502, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Failed to fetch airport data' }));
-  });
+  }
 }
 
 function handleConfigGet(req, res) {
   res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ hasKey: !!getApiKey() }));
+  res.end(JSON.stringify({ hasKey: !!getApiKey(), admin: !!adminIdentity(req), ...clientConfig() }));
 }
 
 function handleConfigPost(req, res) {
   let body = '';
   req.on('data', chunk => body += chunk);
-  req.on('end', () => {
+  req.on('end', async () => {
     let apiKey;
     try { apiKey = JSON.parse(body).apiKey; }
     catch (e) {
@@ -876,36 +2396,177 @@ function handleConfigPost(req, res) {
     apiKey = apiKey.trim();
 
     // Validate by test-fetching from OpenAIP
-    const testUrl = new URL('https://api.core.openaip.net/api/airports?country=AT&page=1&limit=1');
+    const testUrl = `${getOpenaipBaseUrl()}/api/airports?country=${getConfig('country')}&page=1&limit=1`;
     logDebug('CONFIG', 'Validating API key...');
-    https.get({
-      hostname: testUrl.hostname,
-      path: testUrl.pathname + testUrl.search,
-      headers: { 'x-openaip-api-key': apiKey },
-    }, (testRes) => {
-      let testBody = '';
-      testRes.on('data', chunk => testBody += chunk);
-      testRes.on('end', () => {
-        if (testRes.statusCode === 200) {
-          const config = readConfig();
-          config.openaipApiKey = apiKey;
-          writeConfig(config);
-          logInfo('CONFIG', 'API key saved');
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true }));
-        } else {
-          logWarn('CONFIG', `API key invalid (${testRes.statusCode})`);
-          res.writeHead(401, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: `Invalid API key (OpenAIP returned ${testRes.statusCode})` }));
-        }
-      });
-    }).on('error', (err) => {
+    try {
+      const testRes = await upstreamGet(testUrl, { 'x-openaip-api-key': apiKey });
+      if (testRes.statusCode === 200) {
+        const file = readConfig();
+        file.openaipApiKey = apiKey;
+        writeConfig(file);
+        logInfo('CONFIG', 'API key saved');
+        reloadConfig();
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      } else {
+        logWarn('CONFIG', `API key invalid (${testRes.statusCode})`);
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `Invalid API key (OpenAIP returned ${testRes.statusCode})` }));
+      }
+    } catch (err) {
       res.writeHead(502, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: `Failed to validate key: ${err.message}` }));
+    }
+  });
+}
+
+// ─── Live Events (SSE) ──────────────────────────────────────
+// GET /api/events keeps a Server-Sent Events stream open so the map learns about new data
+// without polling. Events (data is JSON):
+//   weather    { type: 'metar'|'taf', stations: [ICAO], source: 'schedule'|'proxy' }
+//              new reports in the proxy cache; clients re-read those stations from /api/metar or /api/taf
+//   category   { icao, from, to, obsTime }: the current METAR category (default scheme) changed
+//   scheduler  { fetching, nextFetchAt, lastFetch }: sent on connect and whenever the history fetch
+//              starts, finishes or is rescheduled
+//   config     the client settings of GET /api/config, after a hot reload changed one of them
+// There is no replay; after a reconnect clients reload what they show.
+
+const SSE_HEARTBEAT_INTERVAL = 25 * 1000; // comment line so proxies keep idle streams open
+const SSE_RETRY = 10 * 1000; // reconnect delay suggested to browsers
+const SSE_MAX_CLIENTS = 500;
+
+const sseClients = new Set();
+const schedulerStatus = { fetching: false, nextFetchAt: null, lastFetch: null };
+let configEventQueued = false;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastEvent(event, data) {
+  for (const res of sseClients) writeEvent(res, event, data);
+}
+
+function handleEvents(req, res) {
+  if (sseClients.size >= SSE_MAX_CLIENTS) {
+    logWarn('SYSTEM', `Live event stream refused, ${SSE_MAX_CLIENTS} clients connected`, clientIp(req));
+    res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': String(SSE_RETRY / 1000) });
+    res.end(JSON.stringify({ error: 'Too many live clients, poll instead' }));
+    return;
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would otherwise hold events back
+  });
+  res.write(`retry: ${SSE_RETRY}\n\n`);
+  writeEvent(res, 'scheduler', schedulerStatus);
+  sseClients.add(res);
+  logDebug('SYSTEM', `Live event client connected (${sseClients.size} total)`, clientIp(req));
+  req.on('close', () => {
+    sseClients.delete(res);
+    logDebug('SYSTEM', `Live event client disconnected (${sseClients.size} total)`);
+  });
+}
+
+// Called by setStationCache with the stations whose latest report changed
+function announceWeather(type, changes, source) {
+  if (sseClients.size === 0) return;
+  broadcastEvent('weather', { type, stations: changes.map(c => c.icao), source });
+  if (type !== 'metar') return;
+  for (const { icao, previous, item } of changes) {
+    if (!previous) continue;
+    const from = getFlightCategory(previous);
+    const to = getFlightCategory(item);
+    if (from !== to) broadcastEvent('category', { icao, from, to, obsTime: item.obsTime || null });
+  }
+}
+
+function announceScheduler(changes) {
+  Object.assign(schedulerStatus, changes);
+  broadcastEvent('scheduler', schedulerStatus);
+}
+
+// Several client settings usually change in one reload; send them as one event
+for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+  if (!spec.client) continue;
+  onConfigChange(key, () => {
+    if (configEventQueued) return;
+    configEventQueued = true;
+    setImmediate(() => {
+      configEventQueued = false;
+      broadcastEvent('config', clientConfig());
     });
   });
 }
 
+setInterval(() => {
+  for (const res of sseClients) res.write(': heartbeat\n\n');
+}, SSE_HEARTBEAT_INTERVAL);
+
+// ─── Flight Category Schemes ────────────────────────────────
+// Built-in schemes live in flight-category.js; custom ones come from
+// data/config.json → categorySchemes: [{ id, name, categories: [...] }]
+
+function loadCustomSchemes() {
+  for (const def of getConfig('categorySchemes')) {
+    if (def && hasScheme(def.id) && listSchemes().find(s => s.id === def.id).builtin) {
+      logWarn('CONFIG', 'Ignoring category scheme', `"${def.id}" is a built-in scheme`);
+      continue;
+    }
+    try {
+      registerScheme({ ...def, builtin: false });
+      logInfo('CONFIG', `Category scheme loaded: ${def.id}`);
+    } catch (err) {
+      logWarn('CONFIG', 'Ignoring category scheme', err.message);
+    }
+  }
+}
+
+loadCustomSchemes();
+
+function handleSchemes(req, res) {
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({ default: DEFAULT_SCHEME, schemes: listSchemes() }));
+}
+
+// First of ?from= / ?to= that is given but does not parse as a date; null if both are fine
+function invalidDateParam(query) {
+  for (const name of ['from', 'to']) {
+    if (query[name] && isNaN(Date.parse(query[name]))) return name;
+  }
+  return null;
+}
+
+// ?scheme= of the history endpoints; null if unknown
+function historyScheme(query) {
+  const id = query.scheme || DEFAULT_SCHEME;
+  return hasScheme(id) ? id : null;
+}
+
+// Issue sequence of a TAF timeline entry; amendment details only for later versions
+function tafVersionFields(row) {
+  const fields = { seq: row.issue_seq || 1 };
+  if (fields.seq > 1 || row.amendment) {
+    fields.amd = row.amendment || null;
+    fields.issued = row.issue_time || null;
+  }
+  return fields;
+}
+
+// JSON columns of compacted rows are deflated BLOBs (see compactHistory)
+function jsonColumnText(value) {
+  if (value instanceof Uint8Array) {
+    try { return zlib.inflateSync(value).toString('utf-8'); } catch (e) { return null; }
+  }
+  return value;
+}
+
+function parseJsonColumn(value) {
+  try { return JSON.parse(jsonColumnText(value)); } catch (e) { return null; }
+}
+
 // ─── History API Endpoints ──────────────────────────────────
 
 function handleHistoryTimeline(req, res, query) {
@@ -917,61 +2578,119 @@ function handleHistoryTimeline(req, res, query) {
     return;
   }
 
-  let icaoFilter = null;
-  if (query.icao && query.icao !== 'all') {
-    icaoFilter = query.icao.split(',').map(s => s.trim().toUpperCase());
+  const scheme = historyScheme(query);
+  if (!scheme) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown category scheme: ${query.scheme}` }));
+    return;
+  }
+  // Stored columns hold the default scheme; any other scheme is recomputed from the saved JSON
+  const recompute = scheme !== DEFAULT_SCHEME;
+  const mode = query.mode || 'worst';
+  if (mode !== 'worst' && mode !== 'probabilistic') {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown forecast mode: ${mode}` }));
+    return;
+  }
+  const probabilistic = mode === 'probabilistic';
+
+  let icaoFilter = null;
+  if (query.icao && query.icao !== 'all') {
+    icaoFilter = query.icao.split(',').map(s => s.trim().toUpperCase());
   }
 
   // METAR timeline — use report_time (observation time)
   const metarResult = {};
+  const metarCols = `icao_id, COALESCE(report_time, fetch_time) AS obs_time, flt_cat${recompute ? ', metar_json' : ''}`;
   let metarRows;
   if (icaoFilter) {
     const placeholders = icaoFilter.map(() => '?').join(',');
     metarRows = db.prepare(`
-      SELECT icao_id, COALESCE(report_time, fetch_time) AS obs_time, flt_cat FROM metar_history
+      SELECT ${metarCols} FROM metar_history
       WHERE icao_id IN (${placeholders}) AND fetch_time >= ? AND fetch_time <= ?
       ORDER BY icao_id, obs_time
     `).all(...icaoFilter, from, to);
   } else {
     metarRows = db.prepare(`
-      SELECT icao_id, COALESCE(report_time, fetch_time) AS obs_time, flt_cat FROM metar_history
+      SELECT ${metarCols} FROM metar_history
       WHERE fetch_time >= ? AND fetch_time <= ?
       ORDER BY icao_id, obs_time
     `).all(from, to);
   }
   for (const row of metarRows) {
     if (!metarResult[row.icao_id]) metarResult[row.icao_id] = [];
-    metarResult[row.icao_id].push({ t: row.obs_time, cat: row.flt_cat });
+    const cat = recompute ? getFlightCategory(parseJsonColumn(row.metar_json), scheme) : row.flt_cat;
+    metarResult[row.icao_id].push({ t: row.obs_time, cat });
   }
 
   // TAF timeline
   const tafResult = {};
+  let tafCols = 'icao_id, fetch_time, issue_time, issue_seq, amendment, flt_cat_now, flt_cat_2h, flt_cat_4h, flt_cat_8h, flt_cat_24h';
+  if (recompute) tafCols += ', taf_json';
+  // Rows stored before outlook_json existed are evaluated from taf_json
+  else if (probabilistic) tafCols += ', outlook_json, CASE WHEN outlook_json IS NULL THEN taf_json END AS taf_json';
   let tafRows;
   if (icaoFilter) {
     const placeholders = icaoFilter.map(() => '?').join(',');
     tafRows = db.prepare(`
-      SELECT icao_id, fetch_time, flt_cat_now, flt_cat_2h, flt_cat_4h, flt_cat_8h, flt_cat_24h FROM taf_history
+      SELECT ${tafCols} FROM taf_history
       WHERE icao_id IN (${placeholders}) AND fetch_time >= ? AND fetch_time <= ?
       ORDER BY icao_id, fetch_time
     `).all(...icaoFilter, from, to);
   } else {
     tafRows = db.prepare(`
-      SELECT icao_id, fetch_time, flt_cat_now, flt_cat_2h, flt_cat_4h, flt_cat_8h, flt_cat_24h FROM taf_history
+      SELECT ${tafCols} FROM taf_history
       WHERE fetch_time >= ? AND fetch_time <= ?
       ORDER BY icao_id, fetch_time
     `).all(from, to);
   }
   for (const row of tafRows) {
     if (!tafResult[row.icao_id]) tafResult[row.icao_id] = [];
+    if (probabilistic) {
+      let outlook = row.outlook_json ? parseJsonColumn(row.outlook_json) : null;
+      if (!outlook) {
+        const taf = parseJsonColumn(row.taf_json);
+        outlook = taf ? tafHorizonOutlooks(taf, new Date(row.fetch_time), scheme) : {};
+      }
+      const entry = { t: row.fetch_time, ...tafVersionFields(row) };
+      for (const h of TAF_HORIZONS) {
+        const o = outlook[h];
+        entry[`cat_${h}`] = o ? o.cat : null;
+        if (o && o.possibleCat) {
+          entry[`possible_${h}`] = o.possibleCat;
+          entry[`prob_${h}`] = o.probability;
+        }
+      }
+      tafResult[row.icao_id].push(entry);
+      continue;
+    }
+    let cats = [row.flt_cat_now, row.flt_cat_2h, row.flt_cat_4h, row.flt_cat_8h, row.flt_cat_24h];
+    if (recompute) {
+      const taf = parseJsonColumn(row.taf_json);
+      cats = taf ? tafHorizonCategories(taf, new Date(row.fetch_time), scheme) : [null, null, null, null, null];
+    }
     tafResult[row.icao_id].push({
       t: row.fetch_time,
-      cat_now: row.flt_cat_now, cat_2h: row.flt_cat_2h,
-      cat_4h: row.flt_cat_4h, cat_8h: row.flt_cat_8h, cat_24h: row.flt_cat_24h,
+      ...tafVersionFields(row),
+      cat_now: cats[0], cat_2h: cats[1],
+      cat_4h: cats[2], cat_8h: cats[3], cat_24h: cats[4],
     });
   }
 
+  // Hours known to have no METAR (backfill could not recover them)
+  const gapResult = {};
+  const gapRows = db.prepare(`
+    SELECT icao_id, gap_from, gap_to FROM coverage_gaps
+    WHERE ${icaoFilter ? `icao_id IN (${icaoFilter.map(() => '?').join(',')}) AND ` : ''}gap_to > ? AND gap_from < ?
+    ORDER BY icao_id, gap_from
+  `).all(...(icaoFilter || []), from, to);
+  for (const row of gapRows) {
+    if (!gapResult[row.icao_id]) gapResult[row.icao_id] = [];
+    gapResult[row.icao_id].push({ from: row.gap_from, to: row.gap_to });
+  }
+
   res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
-  res.end(JSON.stringify({ metar: metarResult, taf: tafResult }));
+  res.end(JSON.stringify({ scheme, mode, metar: metarResult, taf: tafResult, gaps: gapResult }));
 }
 
 function handleHistoryDetail(req, res, query) {
@@ -982,6 +2701,12 @@ function handleHistoryDetail(req, res, query) {
     res.end(JSON.stringify({ error: 'Missing icao/time parameters' }));
     return;
   }
+  const scheme = historyScheme(query);
+  if (!scheme) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown category scheme: ${query.scheme}` }));
+    return;
+  }
 
   const metar = db.prepare(`
     SELECT * FROM metar_history WHERE icao_id = ?
@@ -993,14 +2718,30 @@ function handleHistoryDetail(req, res, query) {
     ORDER BY ABS(julianday(fetch_time) - julianday(?)) LIMIT 1
   `).get(icao, time);
 
-  const result = {};
+  const result = { scheme };
   if (metar) {
     result.metar = { ...metar };
-    try { result.metar.metar_json = JSON.parse(metar.metar_json); } catch (e) {}
+    result.metar.metar_json = parseJsonColumn(metar.metar_json);
+    if (scheme !== DEFAULT_SCHEME && result.metar.metar_json != null) {
+      result.metar.flt_cat = getFlightCategory(result.metar.metar_json, scheme);
+    }
   }
   if (taf) {
     result.taf = { ...taf };
-    try { result.taf.taf_json = JSON.parse(taf.taf_json); } catch (e) {}
+    result.taf.taf_json = parseJsonColumn(taf.taf_json);
+    result.taf.outlook_json = parseJsonColumn(taf.outlook_json);
+    if (scheme !== DEFAULT_SCHEME && result.taf.taf_json != null) {
+      const cats = tafHorizonCategories(result.taf.taf_json, new Date(taf.fetch_time), scheme);
+      [result.taf.flt_cat_now, result.taf.flt_cat_2h, result.taf.flt_cat_4h, result.taf.flt_cat_8h, result.taf.flt_cat_24h] = cats;
+    }
+    if ((scheme !== DEFAULT_SCHEME || !result.taf.outlook_json) && result.taf.taf_json != null) {
+      result.taf.outlook_json = tafHorizonOutlooks(result.taf.taf_json, new Date(taf.fetch_time), scheme);
+    }
+    // All issues (original, AMD, COR) of the same validity, oldest first
+    result.taf.versions = taf.valid_from ? db.prepare(`
+      SELECT id, fetch_time, issue_time, issue_seq, amendment, supersedes_id FROM taf_history
+      WHERE icao_id = ? AND valid_from = ? ORDER BY issue_seq, id
+    `).all(icao, taf.valid_from) : [];
   }
 
   res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
@@ -1081,8 +2822,8 @@ function handleHistoryWeather(req, res, query) {
     tafResult[icao] = [];
     for (let i = 0; i < rows.length; i++) {
       try {
-        const taf = JSON.parse(rows[i].taf_json);
-        if (!taf.validTimeFrom || !taf.validTimeTo) continue;
+        const taf = parseJsonColumn(rows[i].taf_json);
+        if (!taf?.validTimeFrom || !taf.validTimeTo) continue;
         const fetchSec = Math.floor(new Date(rows[i].fetch_time).getTime() / 1000);
         // This TAF is authoritative from fetch_time until the next TAF's fetch_time
         const nextFetchSec = i < rows.length - 1
@@ -1128,6 +2869,12 @@ function handleHistoryStats(req, res) {
 
   let dbSizeBytes = 0;
   try { dbSizeBytes = fs.statSync(HISTORY_DB_PATH).size; } catch (e) {}
+  const { afterDays, hourlyMetars } = getCompactionSettings();
+  const lastRun = db.prepare(`
+    SELECT run_at, cutoff, compressed_rows, thinned_metars, bytes_before, bytes_after, duration_ms
+    FROM compaction_runs ORDER BY run_at DESC LIMIT 1
+  `).get();
+  const totals = db.prepare('SELECT COUNT(*) AS runs, SUM(bytes_before - bytes_after) AS reclaimed FROM compaction_runs').get();
 
   const nextFetchIn = nextHistoryFetchTime ? Math.max(0, Math.round((nextHistoryFetchTime - Date.now()) / 1000)) : null;
 
@@ -1136,10 +2883,1132 @@ function handleHistoryStats(req, res) {
     total_metar: totalMetar, total_taf: totalTaf,
     oldest, newest, airport_count: airportCount,
     db_size_bytes: dbSizeBytes,
+    free_bytes: pragmaValue('freelist_count') * pragmaValue('page_size'),
+    table_bytes: tableSizes(),
+    compaction: {
+      after_days: afterDays, hourly_metars: hourlyMetars,
+      runs: totals.runs, reclaimed_bytes: totals.reclaimed || 0,
+      last_run: lastRun ? { ...lastRun, reclaimed_bytes: lastRun.bytes_before - lastRun.bytes_after } : null,
+    },
     next_fetch_in_seconds: nextFetchIn,
   }));
 }
 
+// Recorded TAF busts, newest first (categories of the default scheme, as detected)
+function handleHistoryBusts(req, res, query) {
+  const from = query.from;
+  const to = query.to;
+  if (!from || !to) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing from/to parameters' }));
+    return;
+  }
+
+  let icaoFilter = null;
+  if (query.icao && query.icao !== 'all') {
+    icaoFilter = query.icao.split(',').map(s => s.trim().toUpperCase());
+  }
+  const where = icaoFilter ? `b.icao_id IN (${icaoFilter.map(() => '?').join(',')}) AND ` : '';
+  const rows = db.prepare(`
+    SELECT b.id, b.icao_id, b.obs_time, b.detected_at, b.observed_cat, b.forecast_cat,
+      m.raw_ob, t.raw_taf, t.issue_time AS taf_issue_time, t.amendment AS taf_amendment
+    FROM taf_busts b
+    LEFT JOIN metar_history m ON m.id = b.metar_id
+    LEFT JOIN taf_history t ON t.id = b.taf_id
+    WHERE ${where}b.obs_time >= ? AND b.obs_time <= ?
+    ORDER BY b.obs_time DESC
+  `).all(...(icaoFilter || []), from, to);
+
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({ scheme: DEFAULT_SCHEME, busts: rows }));
+}
+
+// ─── TAF Verification ───────────────────────────────────────
+// Each stored horizon forecast (flt_cat_2h … flt_cat_24h) is scored against the
+// METAR observed closest to its target time (fetch_time + lead). The "event" is any
+// category worse than the scheme's best one (IFR for the Austrian scheme).
+
+const VERIFICATION_LEADS = ['2h', '4h', '8h', '24h'];
+const VERIFICATION_MATCH_WINDOW = 60 * 60; // s — max distance between target time and METAR
+
+function emptyContingency() {
+  return { n: 0, correct: 0, hits: 0, misses: 0, falseAlarms: 0, correctNegatives: 0 };
+}
+
+function addContingency(into, from) {
+  for (const k of Object.keys(into)) into[k] += from[k];
+}
+
+// Scores of a contingency table; null where the denominator is zero
+function verificationScores(c) {
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : null);
+  return {
+    ...c,
+    hitRate: ratio(c.correct, c.n),
+    pod: ratio(c.hits, c.hits + c.misses),
+    far: ratio(c.falseAlarms, c.hits + c.falseAlarms),
+    bias: ratio(c.hits + c.falseAlarms, c.hits + c.misses),
+  };
+}
+
+// Index of the observation closest to t (obs sorted by t), or -1 if none is within window seconds
+function nearestObservation(obs, t, window) {
+  let lo = 0;
+  let hi = obs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (obs[mid].t < t) lo = mid + 1; else hi = mid;
+  }
+  let best = -1;
+  for (const i of [lo - 1, lo]) {
+    if (i < 0 || i >= obs.length) continue;
+    const d = Math.abs(obs[i].t - t);
+    if (d <= window && (best < 0 || d < Math.abs(obs[best].t - t))) best = i;
+  }
+  return best;
+}
+
+function handleHistoryVerification(req, res, query) {
+  const from = query.from;
+  const to = query.to;
+  if (!from || !to) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing from/to parameters' }));
+    return;
+  }
+  const badDate = invalidDateParam(query);
+  if (badDate) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Invalid ${badDate} date: ${query[badDate]}` }));
+    return;
+  }
+  const scheme = historyScheme(query);
+  if (!scheme) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown category scheme: ${query.scheme}` }));
+    return;
+  }
+  const recompute = scheme !== DEFAULT_SCHEME;
+
+  let icaos;
+  if (query.icao && query.icao !== 'all') {
+    icaos = query.icao.split(',').map(s => s.trim().toUpperCase());
+  } else {
+    icaos = db.prepare(`
+      SELECT DISTINCT icao_id FROM taf_history WHERE fetch_time >= ? AND fetch_time <= ? ORDER BY icao_id
+    `).all(from, to).map(r => r.icao_id);
+  }
+
+  // Observations must cover the longest lead beyond the end of the range
+  const obsFrom = new Date(new Date(from).getTime() - VERIFICATION_MATCH_WINDOW * 1000).toISOString();
+  const obsTo = new Date(new Date(to).getTime() + (24 * 3600 + VERIFICATION_MATCH_WINDOW) * 1000).toISOString();
+  const metarStmt = db.prepare(`
+    SELECT COALESCE(report_time, fetch_time) AS obs_time, flt_cat${recompute ? ', metar_json' : ''}
+    FROM metar_history
+    WHERE icao_id = ? AND COALESCE(report_time, fetch_time) >= ? AND COALESCE(report_time, fetch_time) <= ?
+    ORDER BY obs_time
+  `);
+  const tafStmt = db.prepare(`
+    SELECT fetch_time, flt_cat_2h, flt_cat_4h, flt_cat_8h, flt_cat_24h${recompute ? ', taf_json' : ''}
+    FROM taf_history
+    WHERE icao_id = ? AND fetch_time >= ? AND fetch_time <= ?
+    ORDER BY fetch_time
+  `);
+
+  const overall = {};
+  for (const lead of VERIFICATION_LEADS) overall[lead] = emptyContingency();
+  const airports = {};
+
+  // One airport at a time keeps memory flat over long ranges
+  for (const icao of icaos) {
+    const obs = [];
+    for (const row of metarStmt.all(icao, obsFrom, obsTo)) {
+      const cat = recompute ? getFlightCategory(parseJsonColumn(row.metar_json), scheme) : row.flt_cat;
+      if (cat) obs.push({ t: Math.floor(new Date(row.obs_time).getTime() / 1000), cat });
+    }
+    if (obs.length === 0) continue;
+
+    const tables = {};
+    for (const lead of VERIFICATION_LEADS) tables[lead] = emptyContingency();
+    for (const row of tafStmt.all(icao, from, to)) {
+      let cats = [row.flt_cat_2h, row.flt_cat_4h, row.flt_cat_8h, row.flt_cat_24h];
+      if (recompute) {
+        const taf = parseJsonColumn(row.taf_json);
+        cats = taf ? tafHorizonCategories(taf, new Date(row.fetch_time), scheme).slice(1) : [null, null, null, null];
+      }
+      const fetchSec = Math.floor(new Date(row.fetch_time).getTime() / 1000);
+      VERIFICATION_LEADS.forEach((lead, i) => {
+        const forecast = cats[i];
+        if (!forecast) return;
+        const idx = nearestObservation(obs, fetchSec + parseInt(lead, 10) * 3600, VERIFICATION_MATCH_WINDOW);
+        if (idx < 0) return;
+        const observed = obs[idx].cat;
+        const fcEvent = categorySeverity(forecast, scheme) > 0;
+        const obsEvent = categorySeverity(observed, scheme) > 0;
+        const c = tables[lead];
+        c.n++;
+        if (forecast === observed) c.correct++;
+        if (fcEvent && obsEvent) c.hits++;
+        else if (obsEvent) c.misses++;
+        else if (fcEvent) c.falseAlarms++;
+        else c.correctNegatives++;
+      });
+    }
+
+    const all = emptyContingency();
+    const result = {};
+    for (const lead of VERIFICATION_LEADS) {
+      addContingency(all, tables[lead]);
+      addContingency(overall[lead], tables[lead]);
+      result[lead] = verificationScores(tables[lead]);
+    }
+    if (all.n === 0) continue;
+    result.all = verificationScores(all);
+    airports[icao] = result;
+  }
+
+  const overallResult = {};
+  const overallAll = emptyContingency();
+  for (const lead of VERIFICATION_LEADS) {
+    addContingency(overallAll, overall[lead]);
+    overallResult[lead] = verificationScores(overall[lead]);
+  }
+  overallResult.all = verificationScores(overallAll);
+
+  const categories = getScheme(scheme).categories.map(c => c.id);
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({
+    from, to, scheme,
+    leads: VERIFICATION_LEADS,
+    event: categories.slice(1),
+    matchWindowMin: VERIFICATION_MATCH_WINDOW / 60,
+    overall: overallResult,
+    airports,
+  }));
+}
+
+// ─── Climatology ────────────────────────────────────────────
+// Month × UTC hour statistics of one airport's METARs. Observations are irregular
+// (2-hourly schedule plus client-triggered fetches), so every calendar hour of the
+// range is sampled once with the METAR closest to the full hour; hours without a
+// METAR within the window are gaps and count towards `expected` only.
+
+const CLIMATOLOGY_MATCH_WINDOW = 60 * 60; // s
+const CLIMATOLOGY_GUST_KT = 20;
+const CLIMATOLOGY_MAX_HOURS = 20 * 366 * 24; // hour slots per request; longer ranges keep the latest ones
+const CLIMATOLOGY_MAX_VIS_KM = 10; // "6+" SM / 9999 and above
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function visibilityKm(visib) {
+  if (visib == null || visib === '') return null;
+  if (String(visib).includes('+')) return CLIMATOLOGY_MAX_VIS_KM;
+  return Math.min(CLIMATOLOGY_MAX_VIS_KM, Math.round(parseVisibility(visib) * 1.60934 * 10) / 10);
+}
+
+function handleHistoryClimatology(req, res, query) {
+  const icao = (query.icao || '').trim().toUpperCase();
+  if (!icao || icao === 'ALL' || icao.includes(',')) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing icao parameter (one airport)' }));
+    return;
+  }
+  const badDate = invalidDateParam(query);
+  if (badDate) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Invalid ${badDate} date: ${query[badDate]}` }));
+    return;
+  }
+  const scheme = historyScheme(query);
+  if (!scheme) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown category scheme: ${query.scheme}` }));
+    return;
+  }
+  const recompute = scheme !== DEFAULT_SCHEME;
+
+  // Whole history unless a range is given
+  const rows = db.prepare(`
+    SELECT COALESCE(report_time, fetch_time) AS obs_time, flt_cat, ceiling, visib, wgst${recompute ? ', metar_json' : ''}
+    FROM metar_history
+    WHERE icao_id = ? AND COALESCE(report_time, fetch_time) >= ? AND COALESCE(report_time, fetch_time) <= ?
+    ORDER BY obs_time
+  `).all(icao, query.from || '0000', query.to || '9999');
+
+  const obs = rows.map(row => ({
+    t: Math.floor(new Date(row.obs_time).getTime() / 1000),
+    cat: recompute ? getFlightCategory(parseJsonColumn(row.metar_json), scheme) : row.flt_cat,
+    ceiling: row.ceiling,
+    visKm: visibilityKm(row.visib),
+    wgst: row.wgst,
+  }));
+
+  const categories = getScheme(scheme).categories.map(c => c.id);
+  const cells = [];
+  for (let month = 1; month <= 12; month++) {
+    for (let hour = 0; hour < 24; hour++) {
+      cells.push({ month, hour, expected: 0, hours: 0, cats: {}, ceilings: [], vis: [], gusty: 0, gustMax: null });
+    }
+  }
+
+  let totalExpected = 0;
+  let totalHours = 0;
+  let from = null;
+  let to = null;
+  if (obs.length > 0) {
+    // Only hours with stored observations around them, never the future
+    from = Math.max(obs[0].t, query.from ? Math.floor(Date.parse(query.from) / 1000) : -Infinity);
+    to = Math.min(obs[obs.length - 1].t, query.to ? Math.floor(Date.parse(query.to) / 1000) : Infinity, Math.floor(Date.now() / 1000));
+    from = Math.max(from, to - CLIMATOLOGY_MAX_HOURS * 3600);
+    for (let slot = Math.ceil(from / 3600) * 3600; slot <= to; slot += 3600) {
+      const d = new Date(slot * 1000);
+      const cell = cells[d.getUTCMonth() * 24 + d.getUTCHours()];
+      cell.expected++;
+      totalExpected++;
+      const idx = nearestObservation(obs, slot, CLIMATOLOGY_MATCH_WINDOW);
+      if (idx < 0 || !obs[idx].cat) continue;
+      const o = obs[idx];
+      cell.hours++;
+      totalHours++;
+      cell.cats[o.cat] = (cell.cats[o.cat] || 0) + 1;
+      // No ceiling counts as unlimited, so it only moves the median up
+      cell.ceilings.push(o.ceiling != null ? o.ceiling : Infinity);
+      if (o.visKm != null) cell.vis.push(o.visKm);
+      if (o.wgst != null) {
+        if (o.wgst >= CLIMATOLOGY_GUST_KT) cell.gusty++;
+        if (cell.gustMax == null || o.wgst > cell.gustMax) cell.gustMax = o.wgst;
+      }
+    }
+  }
+
+  const round3 = v => Math.round(v * 1000) / 1000;
+  const result = cells.map(c => {
+    const ceilMedian = median(c.ceilings);
+    return {
+      month: c.month, hour: c.hour,
+      hours: c.hours, expected: c.expected,
+      coverage: c.expected > 0 ? round3(c.hours / c.expected) : null,
+      cats: c.cats,
+      pBest: c.hours > 0 ? round3((c.cats[categories[0]] || 0) / c.hours) : null,
+      ceilingMedian: ceilMedian === Infinity ? null : ceilMedian,
+      noCeilingPct: c.hours > 0 ? round3(c.ceilings.filter(v => v === Infinity).length / c.hours) : null,
+      visMedianKm: median(c.vis),
+      gustPct: c.hours > 0 ? round3(c.gusty / c.hours) : null,
+      gustMax: c.gustMax,
+    };
+  });
+
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({
+    icao, scheme, categories,
+    from: from != null ? new Date(from * 1000).toISOString() : null,
+    to: to != null ? new Date(to * 1000).toISOString() : null,
+    matchWindowMin: CLIMATOLOGY_MATCH_WINDOW / 60,
+    gustThresholdKt: CLIMATOLOGY_GUST_KT,
+    hours: totalHours, expected: totalExpected,
+    cells: result,
+  }));
+}
+
+// ─── Weather Episodes ───────────────────────────────────────
+// Consecutive METARs worse than the scheme's best category form an episode
+// ("IFR from 04:20Z to 09:50Z, ceiling 600 ft BKN"). A gap longer than
+// EPISODE_MAX_GAP between observations ends it, since nothing is known in between.
+
+const EPISODE_MAX_GAP = 3 * 60 * 60; // s — the scheduled fetch runs every 2 hours
+const EPISODE_MAX_RANGE_DAYS = 366; // longest from–to one request may scan
+
+// What made an observation fall below the best category: ceiling, visibility or both
+function episodeLimits(m, scheme) {
+  const ceiling = getCeilingFromClouds(m.clouds);
+  const limits = {};
+  if (ceiling != null && categorySeverity(computeFlightCategory(ceiling, null, scheme), scheme) > 0) {
+    const layer = (m.clouds || []).find(c => c.base === ceiling && c.cover !== 'FEW' && c.cover !== 'SCT');
+    limits.ceiling = { ft: ceiling, cover: layer ? layer.cover : null };
+  }
+  if (m.visib != null && categorySeverity(computeFlightCategory(null, m.visib, scheme), scheme) > 0) {
+    limits.visibility = { m: Math.round(parseVisibility(m.visib) * 1609.34 / 100) * 100, wx: m.wxString || null };
+  }
+  return limits;
+}
+
+function episodeCause(ep) {
+  const parts = [];
+  if (ep.lowestCeiling) parts.push(`ceiling ${ep.lowestCeiling.ft} ft${ep.lowestCeiling.cover ? ' ' + ep.lowestCeiling.cover : ''}`);
+  if (ep.lowestVisibility) parts.push(`visibility ${ep.lowestVisibility.m} m${ep.lowestVisibility.wx ? ' ' + ep.lowestVisibility.wx : ''}`);
+  const type = ep.lowestCeiling && ep.lowestVisibility ? 'both' : ep.lowestCeiling ? 'ceiling' : ep.lowestVisibility ? 'visibility' : null;
+  return { type, text: parts.join(', ') || null, ceiling: ep.lowestCeiling, visibility: ep.lowestVisibility };
+}
+
+// Did the TAF in force at onset forecast the episode? 'yes' (prevailing or TEMPO at onset),
+// 'possible' (only a PROB group at onset), 'late' (only later in the episode), 'no'; null without a TAF
+function episodeForecast(icao, startSec, endSec, scheme) {
+  const startIso = new Date(startSec * 1000).toISOString();
+  const row = tafInForceStmt.get(icao, startIso, startIso, startIso);
+  const taf = row ? parseJsonColumn(row.taf_json) : null;
+  if (!taf) return null;
+  const result = { id: row.id, issued: row.issue_time || null, amd: row.amendment || null, forecast: 'no', cat: null, possibleCat: null };
+  const atOnset = getForecastOutlookFromTaf(taf, startSec, scheme);
+  if (atOnset) {
+    result.cat = atOnset.cat;
+    result.possibleCat = atOnset.possibleCat;
+    if (atOnset.cat && categorySeverity(atOnset.cat, scheme) > 0) result.forecast = 'yes';
+    else if (atOnset.possibleCat) result.forecast = 'possible';
+  }
+  if (result.forecast === 'no') {
+    for (let t = startSec + 3600; t <= endSec; t += 3600) {
+      const cat = getForecastCategoryFromTaf(taf, t, scheme);
+      if (cat && categorySeverity(cat, scheme) > 0) { result.forecast = 'late'; break; }
+    }
+  }
+  return result;
+}
+
+function handleHistoryEvents(req, res, query) {
+  const from = query.from;
+  const to = query.to;
+  if (!from || !to) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing from/to parameters' }));
+    return;
+  }
+  const scheme = historyScheme(query);
+  if (!scheme) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown category scheme: ${query.scheme}` }));
+    return;
+  }
+  const badDate = invalidDateParam(query);
+  if (badDate) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Invalid ${badDate} date: ${query[badDate]}` }));
+    return;
+  }
+  if (Date.parse(to) - Date.parse(from) > EPISODE_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Range too long, at most ${EPISODE_MAX_RANGE_DAYS} days` }));
+    return;
+  }
+  const minDuration = query.minDuration != null && query.minDuration !== '' ? Number(query.minDuration) : 0; // minutes
+  if (!Number.isFinite(minDuration) || minDuration < 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Invalid minDuration: ${query.minDuration}` }));
+    return;
+  }
+
+  let icaos;
+  if (query.icao && query.icao !== 'all') {
+    icaos = query.icao.split(',').map(s => s.trim().toUpperCase());
+  } else {
+    icaos = db.prepare(`
+      SELECT DISTINCT icao_id FROM metar_history
+      WHERE COALESCE(report_time, fetch_time) >= ? AND COALESCE(report_time, fetch_time) <= ? ORDER BY icao_id
+    `).all(from, to).map(r => r.icao_id);
+  }
+  // One airport at a time, so only its rows of the range are ever in flight
+  const metarStmt = db.prepare(`
+    SELECT icao_id, COALESCE(report_time, fetch_time) AS obs_time, raw_ob, metar_json
+    FROM metar_history
+    WHERE icao_id = ? AND COALESCE(report_time, fetch_time) >= ? AND COALESCE(report_time, fetch_time) <= ?
+    ORDER BY obs_time
+  `);
+
+  const episodes = [];
+  let ep = null;
+  let lastSec = null;
+
+  const close = (clearedSec) => {
+    if (!ep) return;
+    ep.clearedSec = clearedSec;
+    episodes.push(ep);
+    ep = null;
+  };
+
+  for (const icao of icaos) {
+    for (const row of metarStmt.iterate(icao, from, to)) {
+      const m = parseJsonColumn(row.metar_json);
+      if (!m) continue;
+      const sec = Math.floor(new Date(row.obs_time).getTime() / 1000);
+      if (lastSec != null && sec - lastSec > EPISODE_MAX_GAP) close(null);
+      lastSec = sec;
+
+      const cat = getFlightCategory(m, scheme);
+      if (categorySeverity(cat, scheme) === 0) {
+        close(sec);
+        continue;
+      }
+      if (!ep) {
+        ep = { icao: row.icao_id, startSec: sec, endSec: sec, cat, observations: 0, lowestCeiling: null, lowestVisibility: null, worstRaw: row.raw_ob };
+      }
+      ep.endSec = sec;
+      ep.observations++;
+      if (categorySeverity(cat, scheme) > categorySeverity(ep.cat, scheme)) {
+        ep.cat = cat;
+        ep.worstRaw = row.raw_ob;
+      }
+      const limits = episodeLimits(m, scheme);
+      if (limits.ceiling && (!ep.lowestCeiling || limits.ceiling.ft < ep.lowestCeiling.ft)) ep.lowestCeiling = limits.ceiling;
+      if (limits.visibility && (!ep.lowestVisibility || limits.visibility.m < ep.lowestVisibility.m)) ep.lowestVisibility = limits.visibility;
+    }
+    close(null);
+    lastSec = null;
+  }
+
+  const iso = sec => (sec != null ? new Date(sec * 1000).toISOString() : null);
+  const result = [];
+  for (const e of episodes) {
+    const durationMin = Math.round((e.endSec - e.startSec) / 60);
+    if (durationMin < minDuration) continue;
+    result.push({
+      icao: e.icao,
+      cat: e.cat,
+      start: iso(e.startSec),
+      end: iso(e.endSec),
+      clearedAt: iso(e.clearedSec),
+      durationMin,
+      observations: e.observations,
+      cause: episodeCause(e),
+      taf: episodeForecast(e.icao, e.startSec, e.endSec, scheme),
+      rawOb: e.worstRaw || null,
+    });
+  }
+  result.sort((a, b) => (a.start < b.start ? 1 : a.start > b.start ? -1 : a.icao.localeCompare(b.icao)));
+
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({ scheme, maxGapMin: EPISODE_MAX_GAP / 60, episodes: result }));
+}
+
+// ─── History Export ─────────────────────────────────────────
+// Rows are read in keyset-paginated batches and written in chunks, honouring
+// backpressure, so exporting years of history never holds more than one batch in
+// memory — and no statement stays open while waiting for a slow client.
+
+const EXPORT_TABLES = {
+  metar: { table: 'metar_history', timeColumn: 'fetch_time', keyColumns: ['icao_id', 'fetch_time', 'id'] },
+  taf: { table: 'taf_history', timeColumn: 'fetch_time', keyColumns: ['icao_id', 'fetch_time', 'id'] },
+  tracked_airports: { table: 'tracked_airports', timeColumn: null, keyColumns: ['icao_id'] },
+};
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', ext: 'ndjson' },
+  geojson: { contentType: 'application/geo+json', ext: 'geojson' },
+};
+const EXPORT_CHUNK_SIZE = 64 * 1024; // characters buffered before each write
+const EXPORT_BATCH_ROWS = 1000; // rows read per query
+
+function csvValue(v) {
+  if (v == null) return '';
+  const str = String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// *_json columns are embedded as objects in NDJSON/GeoJSON; CSV gets their (inflated) text
+function exportRecord(row, columns) {
+  const record = {};
+  for (const c of columns) {
+    record[c] = c.endsWith('_json') && row[c] != null ? parseJsonColumn(row[c]) : row[c];
+  }
+  return record;
+}
+
+async function handleHistoryExport(req, res, query) {
+  const tableKey = query.table || 'metar';
+  const spec = EXPORT_TABLES[tableKey];
+  const format = query.format || 'csv';
+  const fmt = EXPORT_FORMATS[format];
+  if (!spec || !fmt) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: !spec ? `Unknown table: ${tableKey}` : `Unknown format: ${format}` }));
+    return;
+  }
+  const badDate = invalidDateParam(query);
+  if (badDate) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Invalid ${badDate} date: ${query[badDate]}` }));
+    return;
+  }
+
+  const available = db.prepare(`PRAGMA table_info(${spec.table})`).all().map(c => c.name);
+  const columns = query.columns ? query.columns.split(',').map(c => c.trim()).filter(Boolean) : available;
+  const unknown = columns.filter(c => !available.includes(c));
+  if (columns.length === 0 || unknown.length > 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown column(s): ${unknown.join(', ') || '(none selected)'}`, columns: available }));
+    return;
+  }
+
+  const where = [];
+  const params = [];
+  if (query.icao && query.icao !== 'all') {
+    const icaos = query.icao.split(',').map(s => s.trim().toUpperCase());
+    where.push(`t.icao_id IN (${icaos.map(() => '?').join(',')})`);
+    params.push(...icaos);
+  }
+  if (spec.timeColumn && query.from) { where.push(`t.${spec.timeColumn} >= ?`); params.push(query.from); }
+  if (spec.timeColumn && query.to) { where.push(`t.${spec.timeColumn} <= ?`); params.push(query.to); }
+
+  // GeoJSON needs the airport position; weather rows get it from tracked_airports
+  let select = columns.map(c => `t.${c}`).join(', ');
+  let from = `${spec.table} t`;
+  if (format === 'geojson') {
+    select += tableKey === 'tracked_airports' ? ', t.lat AS __lat, t.lon AS __lon' : ', a.lat AS __lat, a.lon AS __lon';
+    if (tableKey !== 'tracked_airports') from += ' LEFT JOIN tracked_airports a ON a.icao_id = t.icao_id';
+  }
+  // The sort key doubles as the keyset cursor: each batch starts after the last row of the previous one
+  const keys = spec.keyColumns.map(c => `t.${c}`);
+  select += ', ' + keys.map((k, i) => `${k} AS __k${i}`).join(', ');
+  const sql = (after) => {
+    const conditions = after ? [...where, `(${keys.join(', ')}) > (${keys.map(() => '?').join(', ')})`] : where;
+    return `SELECT ${select} FROM ${from}${conditions.length ? ' WHERE ' + conditions.join(' AND ') : ''} ORDER BY ${keys.join(', ')} LIMIT ${EXPORT_BATCH_ROWS}`;
+  };
+  let firstStmt;
+  let nextStmt;
+  try {
+    firstStmt = db.prepare(sql(false));
+    nextStmt = db.prepare(sql(true));
+  } catch (err) {
+    logError('HISTORY', `Export of ${tableKey} failed`, err.message);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+    return;
+  }
+
+  const range = spec.timeColumn ? `-${(query.from || 'start').slice(0, 10)}_${(query.to || 'now').slice(0, 10)}` : '';
+  const filename = `deckenhoehe-${tableKey}-${(query.icao || 'all').replace(/[^A-Za-z0-9]+/g, '_')}${range}.${fmt.ext}`;
+  res.writeHead(200, {
+    'Content-Type': fmt.contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Access-Control-Allow-Origin': '*',
+  });
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  let buffer = '';
+  const flush = async () => {
+    const ok = res.write(buffer);
+    buffer = '';
+    if (!ok && !closed) await new Promise(resolve => { res.once('drain', resolve); res.once('close', resolve); });
+  };
+
+  if (format === 'csv') buffer += columns.join(',') + '\r\n';
+  else if (format === 'geojson') buffer += '{"type":"FeatureCollection","features":[\n';
+
+  let count = 0;
+  try {
+    let cursor = null;
+    while (!closed) {
+      // all() runs the statement to completion, so nothing is left open across the awaits below
+      const rows = cursor ? nextStmt.all(...params, ...cursor) : firstStmt.all(...params);
+      for (const row of rows) {
+        if (closed) break;
+        if (format === 'csv') {
+          buffer += columns.map(c => csvValue(c.endsWith('_json') ? jsonColumnText(row[c]) : row[c])).join(',') + '\r\n';
+        } else if (format === 'ndjson') {
+          buffer += JSON.stringify(exportRecord(row, columns)) + '\n';
+        } else {
+          const geometry = row.__lat != null && row.__lon != null ? { type: 'Point', coordinates: [row.__lon, row.__lat] } : null;
+          buffer += (count > 0 ? ',\n' : '') + JSON.stringify({ type: 'Feature', geometry, properties: exportRecord(row, columns) });
+        }
+        count++;
+        if (buffer.length >= EXPORT_CHUNK_SIZE) await flush();
+      }
+      if (rows.length < EXPORT_BATCH_ROWS) break;
+      const last = rows[rows.length - 1];
+      cursor = keys.map((k, i) => last[`__k${i}`]);
+    }
+  } catch (err) {
+    // Headers are gone; the truncated download is all the client gets
+    logError('HISTORY', `Export of ${tableKey} failed after ${count} rows`, err.message);
+    res.end();
+    return;
+  }
+  if (closed) {
+    logWarn('HISTORY', `Export of ${tableKey} aborted by client after ${count} rows`);
+    return;
+  }
+  if (format === 'geojson') buffer += '\n]}\n';
+  res.end(buffer);
+  logInfo('HISTORY', `Exported ${count} ${tableKey} rows as ${format}`, filename);
+}
+
+// ─── Authentication ─────────────────────────────────────────
+// There is one role, admin. A request is admin when it sends the admin token as
+// `Authorization: Bearer <token>`, or the session cookie of a login with the token or an
+// adminUsers account. With neither configured, requests from this machine are admin, but
+// not requests a reverse proxy on this machine forwarded (see isLocalRequest).
+// Sessions live in memory, so a restart signs everyone out.
+
+const SESSION_COOKIE = 'deckenhoehe_session';
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const FORWARDING_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+const PUBLIC_FORCE_PATHS = ['/api/metar', '/api/taf', '/api/airports'];
+const sessions = new Map(); // session id → { user, via: 'token'|'password', credential, expires }
+
+// Stored as scrypt:<salt hex>:<key hex>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) reject(err);
+      else resolve(`scrypt:${salt.toString('hex')}:${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, expected] = stored.split(':');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), 64, (err, key) => {
+      if (err) reject(err);
+      else resolve(crypto.timingSafeEqual(key, Buffer.from(expected, 'hex')));
+    });
+  });
+}
+
+function safeEqual(a, b) {
+  const given = Buffer.from(String(a));
+  const expected = Buffer.from(String(b));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Sessions remember a digest of the credential they were opened with, so changing the
+// token or a password, or removing the user, ends them
+function credentialDigest(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function currentCredential(user, via) {
+  if (via === 'token') return getConfig('adminToken');
+  return getConfig('adminUsers').find(u => u.username === user)?.passwordHash || null;
+}
+
+function authConfigured() {
+  return !!getConfig('adminToken') || getConfig('adminUsers').length > 0;
+}
+
+function getSession(req) {
+  const cookie = (req.headers.cookie || '').split(';').map(c => c.trim().split('='))
+    .find(([name]) => name === SESSION_COOKIE);
+  if (!cookie) return null;
+  const session = sessions.get(cookie[1]);
+  if (!session) return null;
+  const credential = currentCredential(session.user, session.via);
+  if (session.expires < Date.now() || !credential || credentialDigest(credential) !== session.credential) {
+    sessions.delete(cookie[1]);
+    return null;
+  }
+  return { id: cookie[1], ...session };
+}
+
+// { user, method } of an admin request, null for everyone else
+function adminIdentity(req) {
+  const token = getConfig('adminToken');
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (token && bearer && safeEqual(bearer[1], token)) return { user: 'token', method: 'token' };
+  const session = getSession(req);
+  if (session) return { user: session.user, method: 'session' };
+  if (!authConfigured() && isLocalRequest(req)) return { user: 'local', method: 'local' };
+  return null;
+}
+
+// Sent from this machine itself. A proxied request arrives from loopback too, so one with
+// forwarding headers only counts when trustProxy resolves the real client address.
+function isLocalRequest(req) {
+  if (!getConfig('trustProxy') && FORWARDING_HEADERS.some(h => req.headers[h])) return false;
+  return LOOPBACK_ADDRESSES.includes(clientIp(req));
+}
+
+// Admin routes: /api/admin/*, the log, proxy stats, saving the API key and force=1 on the
+// proxies (which bypasses the cache and resets the history fetch timer)
+function needsAdmin(req, pathname, query) {
+  return pathname.startsWith('/api/admin/')
+    || pathname === '/api/log'
+    || pathname === '/api/stats'
+    || (pathname === '/api/config' && req.method === 'POST')
+    || (query.force === '1' && PUBLIC_FORCE_PATHS.includes(pathname));
+}
+
+function requireAdmin(req, res) {
+  if (adminIdentity(req)) return true;
+  const configured = authConfigured();
+  logWarn('AUTH', `Rejected ${req.method} ${req.url.split('?')[0]}${req.url.includes('force=1') ? ' (force refresh)' : ''}`, clientIp(req));
+  res.writeHead(configured ? 401 : 403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    error: configured ? 'Admin login required (sign in at /login.html)' : 'Admin routes only accept local requests unless adminToken or adminUsers is set',
+  }));
+  return false;
+}
+
+function sessionCookie(req, value, maxAge) {
+  const secure = req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${value}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}${secure}`;
+}
+
+// POST /api/auth/login — body {username, password} or {token}; answers with a session cookie
+function handleAuthLogin(req, res) {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', async () => {
+    let input;
+    try { input = JSON.parse(body); }
+    catch (e) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+      return;
+    }
+    if (!authConfigured()) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'No adminToken or adminUsers configured; admin pages are only available on the server machine' }));
+      return;
+    }
+
+    let user = null;
+    const via = input.token ? 'token' : 'password';
+    if (typeof input.token === 'string' && input.token) {
+      const token = getConfig('adminToken');
+      if (token && safeEqual(input.token, token)) user = 'token';
+    } else if (typeof input.username === 'string' && typeof input.password === 'string') {
+      const account = getConfig('adminUsers').find(u => u.username === input.username);
+      try {
+        // Unknown names cost the same scrypt run as known ones
+        const valid = await verifyPassword(input.password, account ? account.passwordHash : `scrypt:${'0'.repeat(32)}:${'0'.repeat(128)}`);
+        if (account && valid) user = account.username;
+      } catch (err) {
+        logError('AUTH', 'Password check failed', err.message);
+      }
+    }
+    if (!user) {
+      const who = via === 'token' ? 'admin token' : `user ${String(input.username || '').slice(0, 64)}`;
+      logWarn('AUTH', `Login failed (${who})`, clientIp(req));
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Wrong username, password or token' }));
+      return;
+    }
+
+    for (const [id, session] of sessions) {
+      if (session.expires < Date.now()) sessions.delete(id);
+    }
+    const id = crypto.randomBytes(32).toString('hex');
+    const maxAge = Math.round(getConfig('adminSessionHours') * 3600);
+    sessions.set(id, { user, via, credential: credentialDigest(currentCredential(user, via)), expires: Date.now() + maxAge * 1000 });
+    logInfo('AUTH', `Admin login: ${user}`, clientIp(req));
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(req, id, maxAge) });
+    res.end(JSON.stringify({ ok: true, user }));
+  });
+}
+
+// POST /api/auth/logout
+function handleAuthLogout(req, res) {
+  const session = getSession(req);
+  if (session) {
+    sessions.delete(session.id);
+    logInfo('AUTH', `Admin logout: ${session.user}`, clientIp(req));
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(req, '', 0) });
+  res.end(JSON.stringify({ ok: true }));
+}
+
+// GET /api/auth/session — whether this request is admin, and whether a login is possible at all
+function handleAuthSession(req, res) {
+  const identity = adminIdentity(req);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    admin: !!identity,
+    user: identity?.user || null,
+    method: identity?.method || null,
+    loginAvailable: authConfigured(),
+    users: getConfig('adminUsers').length > 0,
+    token: !!getConfig('adminToken'),
+  }));
+}
+
+// Hidden input on a terminal; piped input is read as one line
+function readPassword(prompt) {
+  if (!process.stdin.isTTY) {
+    return new Promise(resolve => {
+      const rl = readline.createInterface({ input: process.stdin });
+      let line = '';
+      rl.once('line', l => { line = l; rl.close(); });
+      rl.once('close', () => resolve(line));
+    });
+  }
+  return new Promise(resolve => {
+    let value = '';
+    const onData = chunk => {
+      for (const ch of chunk.toString('utf-8')) {
+        if (ch === '\u0003') process.exit(130); // Ctrl+C
+        if (ch === '\r' || ch === '\n') {
+          process.stdin.off('data', onData);
+          process.stdin.setRawMode(false);
+          process.stdin.pause();
+          process.stdout.write('\n');
+          resolve(value);
+          return;
+        }
+        value = ch === '\u007f' || ch === '\b' ? value.slice(0, -1) : value + ch;
+      }
+    };
+    process.stdout.write(prompt);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on('data', onData);
+  });
+}
+
+// `--add-user <name>` asks for a password and stores the user's scrypt hash in config.json;
+// an existing user gets the new password. A running server picks the change up by itself.
+async function addAdminUser(argv) {
+  const username = argv[argv.indexOf('--add-user') + 1];
+  if (!username || !/^[A-Za-z0-9._-]{1,64}$/.test(username)) {
+    console.error('Usage: node server.js --add-user <name>   (letters, digits, . _ -)');
+    return 1;
+  }
+  let file;
+  try {
+    file = readConfigFile();
+  } catch (err) {
+    console.error(`Cannot update ${CONFIG_PATH}: ${err.message}`);
+    return 1;
+  }
+  const password = await readPassword('Password: ');
+  if (password.length < 8) {
+    console.error('The password needs at least 8 characters');
+    return 1;
+  }
+  if (process.stdin.isTTY && await readPassword('Repeat password: ') !== password) {
+    console.error('The passwords do not match');
+    return 1;
+  }
+  const users = Array.isArray(file.adminUsers) ? file.adminUsers.filter(u => u.username !== username) : [];
+  const existed = users.length < (file.adminUsers || []).length;
+  users.push({ username, passwordHash: await hashPassword(password) });
+  file.adminUsers = users;
+  writeConfig(file);
+  console.log(`${existed ? 'Password changed for' : 'Added'} admin user ${username} in ${CONFIG_PATH}`);
+  return 0;
+}
+
+// ─── Rate Limiting ──────────────────────────────────────────
+// Token buckets per client IP and route group. A bucket holds up to `burst` tokens and
+// refills at `perMinute`; a request takes one token (history requests more for long ranges)
+// or is answered with 429 and Retry-After. Admins are not limited, so the admin bucket
+// only slows down failed logins and refused requests. A burst of 0 turns a group off.
+
+const RATE_LIMIT_PRUNE_INTERVAL = 10 * 60 * 1000; // drop buckets that have refilled
+const RATE_LIMIT_RECENT = 50; // refused requests kept for /api/stats
+const HISTORY_COST_DAYS = 30; // each further 30 days of a history range cost one more token
+
+const RATE_LIMIT_SETTINGS = { proxy: 'rateLimitProxy', history: 'rateLimitHistory', admin: 'rateLimitAdmin' };
+
+const rateBuckets = new Map(); // `${group}:${ip}` → { tokens, updated, limited }
+const rateStats = Object.fromEntries(Object.keys(RATE_LIMIT_SETTINGS).map(group => [group, { allowed: 0, limited: 0 }]));
+const rateRecent = [];
+
+function rateLimitGroup(req, pathname, query) {
+  if (needsAdmin(req, pathname, query) || pathname === '/api/auth/login') return 'admin';
+  if (PUBLIC_FORCE_PATHS.includes(pathname) || pathname === '/api/events') return 'proxy';
+  if (pathname.startsWith('/api/history/')) return 'history';
+  return null;
+}
+
+// Behind a reverse proxy (trustProxy) the client is the last X-Forwarded-For entry
+function clientIp(req) {
+  const forwarded = getConfig('trustProxy') && req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',').pop().trim();
+  return req.socket.remoteAddress;
+}
+
+function historyRequestCost(query, burst) {
+  if (!query.from) return 1;
+  const from = new Date(query.from).getTime();
+  const to = query.to ? new Date(query.to).getTime() : Date.now();
+  if (isNaN(from) || isNaN(to) || to <= from) return 1;
+  const days = (to - from) / (24 * 60 * 60 * 1000);
+  return Math.min(burst, 1 + Math.floor(days / HISTORY_COST_DAYS));
+}
+
+// true when the request may proceed; otherwise the 429 has been sent
+function checkRateLimit(req, res, pathname, query) {
+  const group = rateLimitGroup(req, pathname, query);
+  if (!group) return true;
+  const { burst, perMinute } = getConfig(RATE_LIMIT_SETTINGS[group]);
+  if (burst === 0 || adminIdentity(req)) return true;
+
+  const ip = clientIp(req);
+  const key = `${group}:${ip}`;
+  const now = Date.now();
+  const bucket = rateBuckets.get(key) || { tokens: burst, updated: now, limited: false };
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * perMinute / 60000);
+  bucket.updated = now;
+  rateBuckets.set(key, bucket);
+
+  const cost = group === 'history' ? historyRequestCost(query, burst) : 1;
+  if (bucket.tokens >= cost) {
+    bucket.tokens -= cost;
+    bucket.limited = false;
+    rateStats[group].allowed++;
+    return true;
+  }
+
+  const retryAfter = Math.ceil((cost - bucket.tokens) / perMinute * 60);
+  rateStats[group].limited++;
+  rateRecent.push({ time: now, ip, group, path: pathname, cost });
+  if (rateRecent.length > RATE_LIMIT_RECENT) rateRecent.shift();
+  // One log line per client and group until it is allowed through again
+  if (!bucket.limited) {
+    bucket.limited = true;
+    logWarn('RATELIMIT', `${group} limit reached: ${req.method} ${pathname}`, `${ip}, retry after ${retryAfter}s`);
+  }
+  res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) });
+  res.end(JSON.stringify({ error: `Too many requests, try again in ${retryAfter}s`, retryAfter }));
+  return false;
+}
+
+function getRateLimitStats() {
+  const groups = {};
+  for (const group of Object.keys(rateStats)) {
+    const { burst, perMinute } = getConfig(RATE_LIMIT_SETTINGS[group]);
+    let clients = 0;
+    let limitedClients = 0;
+    for (const [key, bucket] of rateBuckets) {
+      if (!key.startsWith(`${group}:`)) continue;
+      clients++;
+      if (bucket.limited) limitedClients++;
+    }
+    groups[group] = { burst, perMinute, ...rateStats[group], clients, limitedClients };
+  }
+  return { groups, recent: rateRecent.slice().reverse() };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of rateBuckets) {
+    const { burst, perMinute } = getConfig(RATE_LIMIT_SETTINGS[key.slice(0, key.indexOf(':'))]);
+    if (burst === 0 || bucket.tokens + (now - bucket.updated) * perMinute / 60000 >= burst) rateBuckets.delete(key);
+  }
+}, RATE_LIMIT_PRUNE_INTERVAL);
+
+// ─── Admin API ──────────────────────────────────────────────
+
+let importRunning = false;
+
+// POST /api/admin/import?type=metar|taf&icao=LOWW,LOWI — body: archive text (Content-Encoding: gzip allowed)
+async function handleAdminImport(req, res, query) {
+  if (query.type && !['metar', 'taf'].includes(query.type)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Unknown type: ${query.type}` }));
+    return;
+  }
+  if (importRunning) {
+    res.writeHead(409, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'An import is already running' }));
+    return;
+  }
+  importRunning = true;
+  try {
+    const lines = archiveLines(req, req.headers['content-encoding'] === 'gzip');
+    const result = await importArchive(lines, { type: query.type || null, icao: query.icao ? parseIcaoList(query.icao) : null });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  } catch (err) {
+    logError('DB', 'Archive import failed', err.message);
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Import failed: ${err.message}` }));
+  } finally {
+    importRunning = false;
+  }
+}
+
+// GET /api/admin/retention — dry run: the policy, what a run would delete now, recent audit entries
+function handleAdminRetentionPreview(req, res) {
+  const policy = getRetentionPolicy();
+  const plan = planRetention(policy);
+  const audit = db.prepare(`
+    SELECT id, run_at, trigger, total_deleted, deleted_json, duration_ms FROM retention_audit ORDER BY run_at DESC LIMIT 20
+  `).all().map(({ deleted_json, ...row }) => ({ ...row, items: parseJsonColumn(deleted_json) }));
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    dryRun: true,
+    policy,
+    total: plan.reduce((sum, item) => sum + item.rows, 0),
+    items: plan,
+    nextRunAt: nextRetentionRunTime ? new Date(nextRetentionRunTime).toISOString() : null,
+    audit,
+  }));
+}
+
+// POST /api/admin/retention — purge now with the configured policy
+async function handleAdminRetentionRun(req, res) {
+  const policy = getRetentionPolicy();
+  if (policy.errors.length > 0 || policy.rules.length === 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: policy.errors.length > 0 ? 'Invalid retention rules' : 'No retention rules configured', errors: policy.errors }));
+    return;
+  }
+  if (retentionRunning) {
+    res.writeHead(409, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'A retention purge is already running' }));
+    return;
+  }
+  try {
+    const run = await applyRetention(policy, 'admin');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(run));
+  } catch (err) {
+    logError('SYSTEM', 'Retention purge failed', err.message);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err.message }));
+  }
+}
+
+// GET /api/admin/backups — snapshots in the backup directory, newest first
+function handleAdminBackupList(req, res) {
+  const settings = getBackupSettings();
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    ...settings,
+    nextBackupAt: nextBackupTime ? new Date(nextBackupTime).toISOString() : null,
+    backups: listBackups(settings.dir),
+  }));
+}
+
+// POST /api/admin/backups — write a snapshot now
+function handleAdminBackupCreate(req, res) {
+  if (backupRunning) {
+    res.writeHead(409, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'A backup is already running' }));
+    return;
+  }
+  try {
+    const { file, bytes, durationMs, removed } = createBackup('admin');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ file, bytes, durationMs, removed }));
+  } catch (err) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `Backup failed: ${err.message}` }));
+  }
+}
+
+// GET /api/admin/config — effective settings with their source; secrets only say whether they are set
+function handleAdminConfig(req, res) {
+  const settings = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    settings[key] = {
+      value: spec.secret ? (config.values[key] ? '(set)' : null) : config.values[key],
+      source: config.sources[key],
+      ...(spec.env && { env: spec.env }),
+      ...(spec.restart && { restart: true }),
+    };
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ path: CONFIG_PATH, settings, errors: config.errors, pendingRestart: config.pendingRestart }));
+}
+
 // ─── Log API Endpoint ───────────────────────────────────────
 
 function handleLogApi(req, res, query) {
@@ -1163,32 +4032,66 @@ function handleLogApi(req, res, query) {
 
 // ─── HTTP Server ────────────────────────────────────────────
 
-const server = http.createServer((req, res) => {
-  const parsed = new URL(req.url, `http://localhost:${PORT}`);
-  const query = Object.fromEntries(parsed.searchParams);
-
-  if (parsed.pathname === '/api/metar') {
-    proxyMetar(req, res, query);
+// Handlers may be async; returning their promise lets the server catch what they throw
+function routeRequest(req, res, parsed, query) {
+  if (!checkRateLimit(req, res, parsed.pathname, query)) {
+    // Limited, checkRateLimit has answered with 429
+  } else if (needsAdmin(req, parsed.pathname, query) && !requireAdmin(req, res)) {
+    // Rejected, requireAdmin has answered
+  } else if (parsed.pathname === '/api/metar') {
+    return proxyMetar(req, res, query);
   } else if (parsed.pathname === '/api/taf') {
-    proxyTaf(req, res, query);
+    return proxyTaf(req, res, query);
   } else if (parsed.pathname === '/api/airports') {
-    proxyAirports(req, res, query);
+    return proxyAirports(req, res, query);
   } else if (parsed.pathname === '/api/config' && req.method === 'GET') {
-    handleConfigGet(req, res);
+    return handleConfigGet(req, res);
   } else if (parsed.pathname === '/api/config' && req.method === 'POST') {
-    handleConfigPost(req, res);
+    return handleConfigPost(req, res);
+  } else if (parsed.pathname === '/api/auth/login' && req.method === 'POST') {
+    return handleAuthLogin(req, res);
+  } else if (parsed.pathname === '/api/auth/logout' && req.method === 'POST') {
+    return handleAuthLogout(req, res);
+  } else if (parsed.pathname === '/api/auth/session') {
+    return handleAuthSession(req, res);
+  } else if (parsed.pathname === '/api/events') {
+    return handleEvents(req, res);
+  } else if (parsed.pathname === '/api/schemes') {
+    return handleSchemes(req, res);
   } else if (parsed.pathname === '/api/history/timeline') {
-    handleHistoryTimeline(req, res, query);
+    return handleHistoryTimeline(req, res, query);
   } else if (parsed.pathname === '/api/history/detail') {
-    handleHistoryDetail(req, res, query);
+    return handleHistoryDetail(req, res, query);
   } else if (parsed.pathname === '/api/history/weather') {
-    handleHistoryWeather(req, res, query);
+    return handleHistoryWeather(req, res, query);
+  } else if (parsed.pathname === '/api/history/busts') {
+    return handleHistoryBusts(req, res, query);
+  } else if (parsed.pathname === '/api/history/export') {
+    return handleHistoryExport(req, res, query);
+  } else if (parsed.pathname === '/api/history/events') {
+    return handleHistoryEvents(req, res, query);
+  } else if (parsed.pathname === '/api/history/climatology') {
+    return handleHistoryClimatology(req, res, query);
+  } else if (parsed.pathname === '/api/history/verification') {
+    return handleHistoryVerification(req, res, query);
   } else if (parsed.pathname === '/api/history/airports') {
-    handleHistoryAirports(req, res);
+    return handleHistoryAirports(req, res);
   } else if (parsed.pathname === '/api/history/stats') {
-    handleHistoryStats(req, res);
+    return handleHistoryStats(req, res);
+  } else if (parsed.pathname === '/api/admin/import' && req.method === 'POST') {
+    return handleAdminImport(req, res, query);
+  } else if (parsed.pathname === '/api/admin/retention' && req.method === 'POST') {
+    return handleAdminRetentionRun(req, res);
+  } else if (parsed.pathname === '/api/admin/retention') {
+    return handleAdminRetentionPreview(req, res);
+  } else if (parsed.pathname === '/api/admin/backups' && req.method === 'POST') {
+    return handleAdminBackupCreate(req, res);
+  } else if (parsed.pathname === '/api/admin/backups') {
+    return handleAdminBackupList(req, res);
+  } else if (parsed.pathname === '/api/admin/config') {
+    return handleAdminConfig(req, res);
   } else if (parsed.pathname === '/api/log') {
-    handleLogApi(req, res, query);
+    return handleLogApi(req, res, query);
   } else if (parsed.pathname === '/api/stats') {
     const cacheEntries = [];
     for (const [key, entry] of cache) {
@@ -1197,68 +4100,143 @@ const server = http.createServer((req, res) => {
     res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
     res.end(JSON.stringify({
       uptime: Math.round((Date.now() - serverStartTime) / 1000),
-      weatherCacheTTL: WEATHER_CACHE_TTL / 1000,
+      weatherCacheTTL: getConfig('weatherCacheTtlMinutes') * 60,
+      weatherMaxStale: getConfig('weatherMaxStaleMinutes') * 60,
       airportCacheTTL: AIRPORT_CACHE_TTL / 1000,
       cache: cacheEntries,
-      metar: { total: stats.metar.total, cached: stats.metar.cached, errors: stats.metar.errors, log: stats.metar.log },
-      taf: { total: stats.taf.total, cached: stats.taf.cached, errors: stats.taf.errors, log: stats.taf.log },
+      inflight: inflight.size,
+      upstream: getUpstreamStats(),
+      rateLimit: getRateLimitStats(),
+      liveClients: sseClients.size,
+      metar: { total: stats.metar.total, cached: stats.metar.cached, stale: stats.metar.stale, coalesced: stats.metar.coalesced, errors: stats.metar.errors, log: stats.metar.log },
+      taf: { total: stats.taf.total, cached: stats.taf.cached, stale: stats.taf.stale, coalesced: stats.taf.coalesced, errors: stats.taf.errors, log: stats.taf.log },
       airports: { total: stats.airports.total, cached: stats.airports.cached, errors: stats.airports.errors, log: stats.airports.log },
     }));
   } else {
-    serveStatic(req, res, parsed.pathname);
+    return serveStatic(req, res, parsed.pathname);
   }
-});
+}
 
-// Load cache from disk before starting server
-loadCacheFromDisk();
+const server = http.createServer((req, res) => {
+  let parsed;
+  Promise.resolve()
+    .then(() => {
+      parsed = new URL(req.url, 'http://localhost');
+      return routeRequest(req, res, parsed, Object.fromEntries(parsed.searchParams));
+    })
+    .catch(err => {
+      // A failing handler costs one request, not the whole server
+      logError('SYSTEM', `Request failed: ${req.method} ${parsed ? parsed.pathname : req.url}`, err.stack || err.message);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal server error' }));
+    });
+});
 
-server.listen(PORT, async () => {
-  console.log(`\n  Deckenhöhe — Austria Airport VFR Status Map`);
-  console.log(`  ============================================`);
-  console.log(`  Server running at:  http://localhost:${PORT}`);
-  console.log(`  Weather history:    http://localhost:${PORT}/history.html`);
-  console.log(`  Server log:         http://localhost:${PORT}/log.html`);
-  console.log(`  Verbose mode:       ${VERBOSE ? 'ON' : 'OFF (use --verbose or -v)'}`);
-  console.log(`\n  Press Ctrl+C to stop.\n`);
+// One-shot maintenance commands run instead of the server
+if (process.argv.includes('--reprocess')) {
+  reprocessHistory();
+  db.close();
+  process.exit(0);
+} else if (process.argv.includes('--import')) {
+  importArchiveFiles(process.argv).then(code => {
+    db.close();
+    process.exit(code);
+  });
+} else if (process.argv.includes('--add-user')) {
+  addAdminUser(process.argv).then(code => {
+    db.close();
+    process.exit(code);
+  });
+} else if (process.argv.includes('--compact')) {
+  compactHistory('--compact').then(() => {
+    db.close();
+    process.exit(0);
+  }, err => {
+    logError('DB', 'Compaction failed', err.message);
+    db.close();
+    process.exit(1);
+  });
+} else {
+  startServer();
+}
 
-  logInfo('SYSTEM', 'Server started', `http://localhost:${PORT}`);
-  rotateLogIfNeeded();
+function startServer() {
+  const port = getConfig('port');
+  // Load cache from disk before starting server
+  loadCacheFromDisk();
+
+  server.listen(port, async () => {
+    console.log(`\n  Deckenhöhe — Austria Airport VFR Status Map`);
+    console.log(`  ============================================`);
+    console.log(`  Server running at:  http://localhost:${port}`);
+    console.log(`  Weather history:    http://localhost:${port}/history.html`);
+    console.log(`  Server log:         http://localhost:${port}/log.html`);
+    console.log(`  Verbose mode:       ${VERBOSE ? 'ON' : 'OFF (use --verbose or -v)'}`);
+    if (RECORD_DIR) console.log(`  Recording to:       ${RECORD_DIR}`);
+    if (REPLAY_DIR) console.log(`  Replaying from:     ${REPLAY_DIR} (no network access)`);
+    console.log(`\n  Press Ctrl+C to stop.\n`);
+
+    logInfo('SYSTEM', 'Server started', `http://localhost:${port}`);
+    for (const error of config.errors) logWarn('CONFIG', 'Invalid setting', error);
+    watchConfig();
+    logInfo('UPSTREAM', 'Upstream base URLs', `AWC ${getAwcBaseUrl()}, OpenAIP ${getOpenaipBaseUrl()}`);
+    if (RECORD_DIR) logInfo('UPSTREAM', `Record mode: saving upstream responses to ${RECORD_DIR}`);
+    rotateLogIfNeeded();
+
+    // Bootstrap airport list and perform initial history fetch
+    try {
+      const icaos = getTrackedIcaoCodes();
+      if (icaos.length === 0) {
+        logInfo('HISTORY', 'No tracked airports, fetching airport list...');
+        await refreshAirportList();
+      }
+      logInfo('HISTORY', `Tracked airports: ${getTrackedIcaoCodes().length}`);
+
+      // Skip initial fetch if last fetch was less than 30 minutes ago
+      const lastFetchRow = db.prepare('SELECT MAX(fetch_time) AS last FROM metar_history').get();
+      const lastFetchAge = lastFetchRow?.last ? Date.now() - new Date(lastFetchRow.last).getTime() : Infinity;
+      const SKIP_THRESHOLD = 30 * 60 * 1000; // 30 minutes
+      if (lastFetchAge < SKIP_THRESHOLD) {
+        logInfo('HISTORY', `Skipping initial fetch (last fetch ${Math.round(lastFetchAge / 60000)}min ago)`);
+      } else {
+        logInfo('HISTORY', 'Performing initial weather fetch...');
+        const result = await performHistoryFetch();
+        if (result) {
+          logInfo('SCHEDULER', `Initial fetch complete: ${result.metarCount} METARs, ${result.tafCount} TAFs stored`);
+        }
+      }
+    } catch (err) {
+      logError('HISTORY', 'Initial fetch failed', err.message);
+    }
 
-  // Bootstrap airport list and perform initial history fetch
-  try {
-    const icaos = getTrackedIcaoCodes();
-    if (icaos.length === 0) {
-      logInfo('HISTORY', 'No tracked airports, fetching airport list...');
-      await refreshAirportList();
+    // Fill observation hours missed while the server was down
+    try {
+      await backfillHistory('startup');
+    } catch (err) {
+      logError('HISTORY', 'Backfill failed', err.message);
     }
-    logInfo('HISTORY', `Tracked airports: ${getTrackedIcaoCodes().length}`);
 
-    // Skip initial fetch if last fetch was less than 30 minutes ago
-    const lastFetchRow = db.prepare('SELECT MAX(fetch_time) AS last FROM metar_history').get();
-    const lastFetchAge = lastFetchRow?.last ? Date.now() - new Date(lastFetchRow.last).getTime() : Infinity;
-    const SKIP_THRESHOLD = 30 * 60 * 1000; // 30 minutes
-    if (lastFetchAge < SKIP_THRESHOLD) {
-      logInfo('HISTORY', `Skipping initial fetch (last fetch ${Math.round(lastFetchAge / 60000)}min ago)`);
-    } else {
-      logInfo('HISTORY', 'Performing initial weather fetch...');
-      const result = await performHistoryFetch();
-      if (result) {
-        logInfo('SCHEDULER', `Initial fetch complete: ${result.metarCount} METARs, ${result.tafCount} TAFs stored`);
+    // --purge applies one rule to every table and airport, before the configured policy
+    if (PURGE_ON_START) {
+      logInfo('SYSTEM', `Purging data older than ${PURGE_OLDER_THAN_DAYS} days (--purge flag)`);
+      try {
+        await applyRetention({ classes: {}, rules: [{ table: '*', class: null, keepDays: PURGE_OLDER_THAN_DAYS }] }, '--purge');
+      } catch (err) {
+        logError('SYSTEM', 'Purge failed', err.message);
       }
     }
-  } catch (err) {
-    logError('HISTORY', 'Initial fetch failed', err.message);
-  }
 
-  // Schedule recurring fetches
-  scheduleHistoryFetch();
-
-  // Only purge old data when explicitly requested via --purge flag
-  if (PURGE_ON_START) {
-    logInfo('SYSTEM', `Purging data older than ${PURGE_OLDER_THAN_DAYS} days (--purge flag)`);
-    purgeOldData(PURGE_OLDER_THAN_DAYS);
-  }
-});
+    // Schedule recurring fetches, retention, compaction and backups
+    scheduleHistoryFetch();
+    scheduleRetention();
+    scheduleCompaction();
+    scheduleBackups();
+  });
+}
 
 // Save cache and close DB on graceful shutdown
 function shutdown() {
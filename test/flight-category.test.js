@@ -0,0 +1,160 @@
+// Flight category engine: boundary cases and real Austrian METAR/TAF fixtures
+// (decoded with wx-decoder.js, then categorised exactly like server.js and app.js do)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const fc = require('../flight-category');
+const { decodeMetar, decodeTaf } = require('../wx-decoder');
+
+const cases = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'austrian-cases.json'), 'utf-8'));
+
+test('computeFlightCategory thresholds', () => {
+  assert.strictEqual(fc.computeFlightCategory(1500, '6+'), 'IFR');
+  assert.strictEqual(fc.computeFlightCategory(1600, '6+'), 'VFR');
+  assert.strictEqual(fc.computeFlightCategory(null, 5 / 1.60934), 'IFR');
+  assert.strictEqual(fc.computeFlightCategory(null, 3.11), 'IFR'); // 5000 m as rounded by AWC
+  assert.strictEqual(fc.computeFlightCategory(null, 3.73), 'VFR'); // 6000 m
+  assert.strictEqual(fc.computeFlightCategory(null, 3.2), 'VFR');
+  assert.strictEqual(fc.computeFlightCategory(null, '6+'), 'VFR');
+  assert.strictEqual(fc.computeFlightCategory(null, null), 'VFR');
+});
+
+test('ceiling ignores FEW/SCT and counts vertical visibility', () => {
+  assert.strictEqual(fc.getCeilingFromClouds([{ cover: 'FEW', base: 500 }, { cover: 'SCT', base: 900 }]), null);
+  assert.strictEqual(fc.getCeilingFromClouds([{ cover: 'SCT', base: 900 }, { cover: 'BKN', base: 2000 }]), 2000);
+  assert.strictEqual(fc.getCeilingFromClouds([{ cover: 'OVX', base: 100 }]), 100);
+});
+
+test('worseCat prefers IFR and skips missing values', () => {
+  assert.strictEqual(fc.worseCat('VFR', 'IFR'), 'IFR');
+  assert.strictEqual(fc.worseCat(null, 'VFR'), 'VFR');
+  assert.strictEqual(fc.worseCat('IFR', null), 'IFR');
+});
+
+test('TAF period without ceiling or visibility has no category', () => {
+  assert.strictEqual(fc.getTafPeriodCategory({ wspd: 25, wgst: 40, clouds: [] }), null);
+});
+
+test('FM periods replace the base forecast (AWC JSON)', () => {
+  const taf = {
+    validTimeFrom: 0, validTimeTo: 3000,
+    fcsts: [
+      { timeFrom: 0, timeTo: 1000, fcstChange: null, visib: '6+', clouds: [{ cover: 'BKN', base: 800 }] },
+      { timeFrom: 1000, timeTo: 3000, fcstChange: 'FM', visib: '6+', clouds: [{ cover: 'SCT', base: 3000 }] },
+    ],
+  };
+  assert.strictEqual(fc.getForecastCategoryFromTaf(taf, 500), 'IFR');
+  assert.strictEqual(fc.getForecastCategoryFromTaf(taf, 1500), 'VFR');
+  assert.strictEqual(fc.getForecastCategoryFromTaf(taf, 3000), null);
+});
+
+test('BECMG: worse of old and new during the transition, new conditions after', () => {
+  const taf = {
+    validTimeFrom: 0, validTimeTo: 10000,
+    fcsts: [
+      { timeFrom: 0, timeTo: 10000, fcstChange: null, wdir: 270, wspd: 25, wgst: 40, visib: 0.5, clouds: [{ cover: 'OVC', base: 300 }] },
+      { timeFrom: 2000, timeTo: 4000, timeBec: 4000, fcstChange: 'BECMG', wdir: 300, wspd: 8, visib: '6+', clouds: [{ cover: 'FEW', base: 4000 }] },
+    ],
+  };
+  assert.strictEqual(fc.getForecastCategoryFromTaf(taf, 1000), 'IFR');
+  assert.strictEqual(fc.getForecastCategoryFromTaf(taf, 3000), 'IFR');
+  assert.strictEqual(fc.getForecastCategoryFromTaf(taf, 4000), 'VFR');
+  assert.deepStrictEqual(fc.getForecastWeatherFromTaf(taf, 3000), { wspd: 25, wgst: 40, wdir: 270, ceiling: 300 });
+  assert.deepStrictEqual(fc.getForecastWeatherFromTaf(taf, 5000), { wspd: 8, wgst: null, wdir: 300, ceiling: null });
+  assert.deepStrictEqual(fc.getPrevailingSegments(taf).map(s => [s.timeFrom, s.timeTo, s.cat, s.transition]), [
+    [0, 2000, 'IFR', false], [2000, 4000, 'IFR', true], [4000, 10000, 'VFR', false],
+  ]);
+});
+
+test('probabilistic outlook keeps PROB groups apart from the forecast', () => {
+  const prob = decodeTaf('TAF LOWK 021100Z 0212/0312 24008KT 9999 FEW050 PROB30 TEMPO 0214/0218 3000 TSRA BKN012CB', { refTime: '2025-06-02T11:00:00Z' });
+  const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+  assert.deepStrictEqual(fc.getForecastOutlookFromTaf(prob, at('2025-06-02T15:00:00Z')), { cat: 'VFR', possibleCat: 'IFR', probability: 30 });
+  assert.deepStrictEqual(fc.getForecastOutlookFromTaf(prob, at('2025-06-02T19:00:00Z')), { cat: 'VFR', possibleCat: null, probability: null });
+  assert.strictEqual(fc.getForecastOutlookFromTaf(prob, at('2025-06-03T12:00:00Z')), null);
+
+  // TEMPO without a probability is part of the forecast
+  const tempo = decodeTaf('TAF LOWS 081100Z 0812/0912 28010KT 9999 BKN030 TEMPO 0814/0818 3000 RA BKN010 PROB40 0816/0820 0800 FG', { refTime: '2025-03-08T11:00:00Z' });
+  assert.deepStrictEqual(fc.getForecastOutlookFromTaf(tempo, at('2025-03-08T15:00:00Z')), { cat: 'IFR', possibleCat: null, probability: null });
+  assert.deepStrictEqual(fc.getForecastOutlookFromTaf(tempo, at('2025-03-08T19:00:00Z')), { cat: 'VFR', possibleCat: 'IFR', probability: 40 });
+  assert.deepStrictEqual(fc.getForecastOutlookFromTaf(tempo, at('2025-03-08T19:00:00Z'), 'faa'), { cat: 'MVFR', possibleCat: 'LIFR', probability: 40 });
+});
+
+test('TAF bust only when no group allows the observed category', () => {
+  const taf = decodeTaf('TAF LOWK 021100Z 0212/0312 24008KT 9999 FEW050 PROB30 TEMPO 0214/0218 3000 TSRA BKN012CB', { refTime: '2025-06-02T11:00:00Z' });
+  const ifr = decodeMetar('METAR LOWK 021320Z 24010KT 4000 RA BKN010 18/16 Q1012', { refTime: '2025-06-02T13:30:00Z' });
+  const vfr = decodeMetar('METAR LOWK 021320Z 24010KT 9999 FEW050 24/12 Q1012', { refTime: '2025-06-02T13:30:00Z' });
+  const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+  assert.deepStrictEqual(fc.getTafBust(ifr, taf, at('2025-06-02T13:20:00Z')), { observed: 'IFR', forecast: 'VFR' });
+  assert.strictEqual(fc.getTafBust(ifr, taf, at('2025-06-02T15:00:00Z')), null); // PROB30 TEMPO allows IFR
+  assert.strictEqual(fc.getTafBust(vfr, taf, at('2025-06-02T13:20:00Z')), null);
+  assert.strictEqual(fc.getTafBust(ifr, taf, at('2025-06-03T13:00:00Z')), null); // TAF expired
+});
+
+test('FAA scheme boundaries', () => {
+  assert.strictEqual(fc.computeFlightCategory(3100, '6+', 'faa'), 'VFR');
+  assert.strictEqual(fc.computeFlightCategory(3000, '6+', 'faa'), 'MVFR');
+  assert.strictEqual(fc.computeFlightCategory(999, '6+', 'faa'), 'IFR');
+  assert.strictEqual(fc.computeFlightCategory(null, 0.75, 'faa'), 'LIFR');
+  assert.strictEqual(fc.worseCat('MVFR', 'IFR', 'faa'), 'IFR');
+  assert.strictEqual(fc.worseCat('LIFR', 'VFR', 'faa'), 'LIFR');
+});
+
+test('custom schemes are validated and use km visibility', () => {
+  assert.throws(() => fc.registerScheme({ id: 'bad', categories: [{ id: 'A', color: '#fff' }] }), /at least two/);
+  assert.throws(() => fc.registerScheme({
+    id: 'bad', categories: [{ id: 'A', color: '#fff' }, { id: 'B', color: '#000' }],
+  }), /needs a ceiling/);
+  fc.registerScheme({
+    id: 'test-de',
+    name: 'Test (3 tiers)',
+    categories: [
+      { id: 'VFR', color: '#2ecc71', ceiling: ['>', 1500], visKm: ['>', 8] },
+      { id: 'MVFR', color: '#3498db', ceiling: ['>=', 1000], visKm: ['>=', 5] },
+      { id: 'IFR', color: '#e74c3c' },
+    ],
+  });
+  assert.strictEqual(fc.computeFlightCategory(null, '6+', 'test-de'), 'VFR');
+  assert.strictEqual(fc.computeFlightCategory(null, 4.35, 'test-de'), 'MVFR'); // 7 km
+  assert.strictEqual(fc.computeFlightCategory(800, '6+', 'test-de'), 'IFR');
+  assert.strictEqual(fc.getCategoryInfo('MVFR', 'test-de').color, '#3498db');
+});
+
+for (const c of cases.metar) {
+  test(`METAR ${c.name}`, () => {
+    const metar = decodeMetar(c.raw, { refTime: c.refTime });
+    assert.ok(metar, 'decodes');
+    assert.strictEqual(fc.getFlightCategory(metar), c.expected);
+    if (c.faa) assert.strictEqual(fc.getFlightCategory(metar, 'faa'), c.faa, 'FAA scheme');
+  });
+}
+
+for (const c of cases.taf) {
+  test(`TAF ${c.name}`, () => {
+    const taf = decodeTaf(c.raw, { refTime: c.refTime });
+    assert.ok(taf, 'decodes');
+    for (const check of c.checks) {
+      const t = Math.floor(new Date(check.at).getTime() / 1000);
+      assert.strictEqual(fc.getForecastCategoryFromTaf(taf, t), check.expected, check.at);
+    }
+  });
+}
+
+test('browser build exposes the same engine as a global', () => {
+  const sandbox = {};
+  sandbox.self = sandbox;
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'flight-category.js'), 'utf-8'), sandbox);
+  const browser = sandbox.FlightCategory;
+  assert.ok(browser, 'FlightCategory global');
+  for (const c of cases.taf) {
+    const taf = decodeTaf(c.raw, { refTime: c.refTime });
+    for (const check of c.checks) {
+      const t = Math.floor(new Date(check.at).getTime() / 1000);
+      assert.strictEqual(browser.getForecastCategoryFromTaf(taf, t), fc.getForecastCategoryFromTaf(taf, t));
+    }
+  }
+});
@@ -0,0 +1,200 @@
+// Raw METAR/TAF decoder: one real-world report per group type, plus the inputs it must refuse
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { decodeMetar, decodeTaf, visibFromMetres } = require('../wx-decoder');
+
+const at = iso => Math.floor(new Date(iso).getTime() / 1000);
+
+test('METAR header, wind, visibility, clouds, temperature and pressure', () => {
+  const m = decodeMetar('METAR LOWW 121320Z 30012KT 9999 FEW040 SCT080 22/09 Q1017 NOSIG=', { refTime: '2025-06-12T13:30:00Z' });
+  assert.strictEqual(m.icaoId, 'LOWW');
+  assert.strictEqual(m.metarType, 'METAR');
+  assert.strictEqual(m.obsTime, at('2025-06-12T13:20:00Z'));
+  assert.strictEqual(m.rawOb, 'METAR LOWW 121320Z 30012KT 9999 FEW040 SCT080 22/09 Q1017 NOSIG');
+  assert.deepStrictEqual([m.wdir, m.wspd, m.wgst], [300, 12, null]);
+  assert.strictEqual(m.visib, '6+');
+  assert.strictEqual(m.visibM, 9999);
+  assert.deepStrictEqual(m.clouds, [{ cover: 'FEW', base: 4000 }, { cover: 'SCT', base: 8000 }]);
+  assert.strictEqual(m.cover, 'SCT');
+  assert.deepStrictEqual([m.temp, m.dewp, m.altim], [22, 9, 1017]);
+  assert.deepStrictEqual(m.trend, [{ type: 'NOSIG' }]);
+  assert.deepStrictEqual(m.unparsed, []);
+});
+
+test('day of month resolves to the month closest to the reference time', () => {
+  const m = decodeMetar('METAR LOWS 312350Z 00000KT CAVOK 08/04 Q1022', { refTime: '2025-02-01T00:05:00Z' });
+  assert.strictEqual(m.reportTime, '2025-01-31T23:50:00.000Z');
+  assert.strictEqual(m.cavok, true);
+  assert.strictEqual(m.cover, 'CAVOK');
+  assert.strictEqual(m.visib, '6+');
+});
+
+test('RVR groups with prefixes, variation, tendency and feet', () => {
+  const m = decodeMetar('METAR LOWW 150650Z 14003KT 0350 R11/0450N R29/0600U R34/P2000 R16/0300V0600D FG VV002 03/03 Q1021 BECMG 0800',
+    { refTime: '2025-11-15T07:00:00Z' });
+  assert.strictEqual(m.visibM, 350);
+  assert.strictEqual(m.visib, 0.22);
+  assert.deepStrictEqual(m.rvr, [
+    { runway: '11', vis: 450, prefix: null, visMax: null, prefixMax: null, trend: 'N' },
+    { runway: '29', vis: 600, prefix: null, visMax: null, prefixMax: null, trend: 'U' },
+    { runway: '34', vis: 2000, prefix: 'P', visMax: null, prefixMax: null, trend: null },
+    { runway: '16', vis: 300, prefix: null, visMax: 600, prefixMax: null, trend: 'D' },
+  ]);
+  assert.strictEqual(m.wxString, 'FG');
+  assert.deepStrictEqual(m.clouds, [{ cover: 'OVX', base: 200 }]);
+
+  const ft = decodeMetar('METAR KDEN 150650Z 36005KT 1/4SM R35L/1200V2400FT FG VV001 M02/M02 A3012', { refTime: '2025-11-15T07:00:00Z' });
+  assert.deepStrictEqual(ft.rvr[0], { runway: '35L', vis: 366, prefix: null, visMax: 732, prefixMax: null, trend: null });
+  assert.deepStrictEqual([ft.temp, ft.dewp], [-2, -2]);
+});
+
+test('TREND groups with FM/TL/AT times, recent weather and CB layers', () => {
+  const m = decodeMetar('METAR LOWI 121320Z 26015G28KT 230V300 9999 -SHRA FEW030 SCT050CB 14/08 Q1009 RERA TEMPO FM1400 TL1600 4000 TSRA BKN020CB BECMG AT1700 NSW',
+    { refTime: '2025-06-12T13:30:00Z' });
+  assert.deepStrictEqual([m.wdir, m.wspd, m.wgst], [260, 15, 28]);
+  assert.deepStrictEqual(m.wdirVar, { from: 230, to: 300 });
+  assert.strictEqual(m.wxString, '-SHRA');
+  assert.deepStrictEqual(m.recentWx, ['RA']);
+  assert.deepStrictEqual(m.clouds[1], { cover: 'SCT', base: 5000, type: 'CB' });
+  assert.strictEqual(m.trend.length, 2);
+
+  const [tempo, becmg] = m.trend;
+  assert.strictEqual(tempo.type, 'TEMPO');
+  assert.strictEqual(tempo.timeFrom, at('2025-06-12T14:00:00Z'));
+  assert.strictEqual(tempo.timeTo, at('2025-06-12T16:00:00Z'));
+  assert.strictEqual(tempo.visibM, 4000);
+  assert.strictEqual(tempo.wxString, 'TSRA');
+  assert.deepStrictEqual(tempo.clouds, [{ cover: 'BKN', base: 2000, type: 'CB' }]);
+  assert.strictEqual(becmg.type, 'BECMG');
+  assert.strictEqual(becmg.timeAt, at('2025-06-12T17:00:00Z'));
+  assert.strictEqual(becmg.wxString, 'NSW');
+});
+
+test('TREND time after midnight rolls over to the next day', () => {
+  const m = decodeMetar('METAR LOWG 122320Z 18005KT 9999 FEW030 12/10 Q1012 BECMG FM0030 BKN008', { refTime: '2025-06-12T23:30:00Z' });
+  assert.strictEqual(m.trend[0].timeFrom, at('2025-06-13T00:30:00Z'));
+});
+
+test('statute miles: whole, fractions, mixed fractions, P and M prefixes', () => {
+  const ref = { refTime: '2025-06-12T15:00:00Z' };
+  const mixed = decodeMetar('METAR KJFK 121451Z 04012KT 1 1/2SM BR OVC008 08/07 A2990 RMK AO2 SLP125', ref);
+  assert.strictEqual(mixed.visib, 1.5);
+  assert.strictEqual(mixed.visibM, 2414);
+  assert.strictEqual(mixed.altim, 1012.5);
+  assert.strictEqual(mixed.remarks, 'AO2 SLP125');
+  assert.strictEqual(decodeMetar('METAR KJFK 121451Z 04012KT 3/4SM BR OVC008 08/07 A2990', ref).visib, 0.75);
+  assert.strictEqual(decodeMetar('METAR KJFK 121451Z 04012KT M1/4SM FG VV001 08/07 A2990', ref).visib, 0.25);
+  assert.strictEqual(decodeMetar('METAR KJFK 121451Z 04012KT P6SM SKC 08/07 A2990', ref).visib, '6+');
+  assert.strictEqual(decodeMetar('METAR KJFK 121451Z 04012KT 10SM SKC 08/07 A2990', ref).visib, 10);
+});
+
+test('wind in MPS and KMH is converted to knots', () => {
+  const mps = decodeMetar('METAR UUEE 121330Z 24005G10MPS 9999 BKN030 18/10 Q1008', { refTime: '2025-06-12T13:30:00Z' });
+  assert.deepStrictEqual([mps.wspd, mps.wgst], [10, 19]);
+  const kmh = decodeMetar('METAR LOWW 121330Z VRB20KMH 9999 FEW040 18/10 Q1008', { refTime: '2025-06-12T13:30:00Z' });
+  assert.deepStrictEqual([kmh.wdir, kmh.wspd], ['VRB', 11]);
+});
+
+test('wind shear, runway state, AUTO and COR', () => {
+  const m = decodeMetar('METAR COR LOWW 121320Z AUTO 30025G40KT 9999 FEW040 12/02 Q1005 WS R29 WS ALL RWY R29/290195',
+    { refTime: '2025-06-12T13:30:00Z' });
+  assert.strictEqual(m.cor, true);
+  assert.strictEqual(m.auto, true);
+  assert.deepStrictEqual(m.windShear, ['R29', 'ALL RWY']);
+  assert.deepStrictEqual(m.runwayState, ['R29/290195']);
+  assert.deepStrictEqual(m.unparsed, []);
+});
+
+test('SPECI and NIL reports', () => {
+  const speci = decodeMetar('SPECI LOWK 121335Z 24018G32KT 3000 +TSRA BKN015CB 17/15 Q1010', { refTime: '2025-06-12T13:40:00Z' });
+  assert.strictEqual(speci.metarType, 'SPECI');
+  assert.strictEqual(speci.wxString, '+TSRA');
+
+  const nil = decodeMetar('METAR LOWZ 121320Z NIL=', { refTime: '2025-06-12T13:30:00Z' });
+  assert.strictEqual(nil.nil, true);
+  assert.strictEqual(nil.icaoId, 'LOWZ');
+  assert.strictEqual(nil.visib, null);
+  assert.deepStrictEqual(nil.clouds, []);
+});
+
+test('METAR error paths', () => {
+  assert.strictEqual(decodeMetar(''), null);
+  assert.strictEqual(decodeMetar(null), null);
+  assert.strictEqual(decodeMetar('METAR 1234 121320Z 30012KT 9999'), null); // no station
+  assert.strictEqual(decodeMetar('METAR LOWW 30012KT 9999 FEW040'), null); // no time group
+  const m = decodeMetar('METAR LOWG 121320Z 27005KT 9999 XYZ FEW040 15/05 Q1015', { refTime: '2025-06-12T13:30:00Z' });
+  assert.deepStrictEqual(m.unparsed, ['XYZ']);
+  assert.deepStrictEqual(m.clouds, [{ cover: 'FEW', base: 4000 }]);
+});
+
+test('TAF validity across a month end, FM, TX/TN and remarks', () => {
+  const t = decodeTaf('TAF LOWW 281700Z 2818/0124 29015KT 9999 SCT035 TX12/0114Z TNM02/0106Z FM010600 33020G35KT 6000 -SN BKN012 RMK NXT FCST BY 00Z',
+    { refTime: '2025-02-28T17:05:00Z' });
+  assert.strictEqual(t.issueTime, '2025-02-28T17:00:00.000Z');
+  assert.strictEqual(t.validTimeFrom, at('2025-02-28T18:00:00Z'));
+  assert.strictEqual(t.validTimeTo, at('2025-03-02T00:00:00Z'));
+  assert.deepStrictEqual(t.temps, [
+    { type: 'max', value: 12, time: at('2025-03-01T14:00:00Z') },
+    { type: 'min', value: -2, time: at('2025-03-01T06:00:00Z') },
+  ]);
+  assert.strictEqual(t.remarks, 'NXT FCST BY 00Z');
+  assert.strictEqual(t.fcsts.length, 2);
+  assert.deepStrictEqual([t.fcsts[0].fcstChange, t.fcsts[0].timeTo], [null, at('2025-03-01T06:00:00Z')]);
+  const fm = t.fcsts[1];
+  assert.deepStrictEqual([fm.fcstChange, fm.timeFrom, fm.timeTo], ['FM', at('2025-03-01T06:00:00Z'), t.validTimeTo]);
+  assert.deepStrictEqual([fm.wdir, fm.wspd, fm.wgst, fm.visibM, fm.wxString], [330, 20, 35, 6000, '-SN']);
+  assert.strictEqual(fm.notDecoded, null);
+});
+
+test('TAF BECMG, TEMPO, PROB and INTER groups', () => {
+  const t = decodeTaf('TAF LOWI 121100Z 1212/1318 26010KT 9999 FEW040 BECMG 1214/1216 30015G25KT PROB30 TEMPO 1216/1220 3000 TSRA BKN015CB PROB40 1302/1306 0800 FG VV002 INTER 1308/1310 4000 SHRA',
+    { refTime: '2025-06-12T11:00:00Z' });
+  assert.deepStrictEqual(t.fcsts.map(f => [f.fcstChange, f.probability]), [
+    [null, null], ['BECMG', null], ['TEMPO', 30], ['PROB', 40], ['TEMPO', null],
+  ]);
+  const [, becmg, tempo, prob] = t.fcsts;
+  assert.strictEqual(becmg.timeBec, at('2025-06-12T16:00:00Z'));
+  assert.deepStrictEqual([becmg.wdir, becmg.wspd, becmg.wgst], [300, 15, 25]);
+  assert.deepStrictEqual(tempo.clouds, [{ cover: 'BKN', base: 1500, type: 'CB' }]);
+  assert.strictEqual(prob.timeFrom, at('2025-06-13T02:00:00Z'));
+  assert.strictEqual(prob.vertVis, 200);
+});
+
+test('TAF AMD, COR, NIL and CNL', () => {
+  const amd = decodeTaf('TAF AMD LOWL 121130Z 1212/1318 CNL=', { refTime: '2025-06-12T11:30:00Z' });
+  assert.strictEqual(amd.amendment, 'AMD');
+  assert.strictEqual(amd.cancelled, true);
+  assert.deepStrictEqual(amd.fcsts, []);
+
+  const cor = decodeTaf('TAF COR LOWL 121140Z 1212/1318 24008KT CAVOK', { refTime: '2025-06-12T11:40:00Z' });
+  assert.strictEqual(cor.amendment, 'COR');
+  assert.strictEqual(cor.fcsts[0].cavok, true);
+
+  const nil = decodeTaf('TAF LOWZ 121100Z NIL', { refTime: '2025-06-12T11:00:00Z' });
+  assert.strictEqual(nil.nil, true);
+  assert.strictEqual(nil.validTimeFrom, null);
+});
+
+test('TAF error paths', () => {
+  assert.strictEqual(decodeTaf(''), null);
+  assert.strictEqual(decodeTaf('TAF 1234 121100Z 1212/1318 26010KT 9999 FEW040'), null); // no station
+  assert.strictEqual(decodeTaf('TAF LOWI 121100Z 26010KT 9999 FEW040'), null); // no validity
+
+  // Without an issue time the validity start stands in for it
+  const noIssue = decodeTaf('TAF LOWI 1212/1318 26010KT 9999 FEW040', { refTime: '2025-06-12T11:00:00Z' });
+  assert.strictEqual(noIssue.issueTime, '2025-06-12T12:00:00.000Z');
+
+  // A change group without a valid period is kept as not decoded, the rest still parses
+  const broken = decodeTaf('TAF LOWI 121100Z 1212/1318 26010KT 9999 FEW040 TEMPO 3000 BR', { refTime: '2025-06-12T11:00:00Z' });
+  assert.strictEqual(broken.fcsts.length, 1);
+  assert.strictEqual(broken.fcsts[0].notDecoded, 'TEMPO');
+  assert.strictEqual(broken.fcsts[0].visibM, 3000);
+});
+
+test('visibFromMetres rounds like AWC and caps at 6+', () => {
+  assert.strictEqual(visibFromMetres(9999), '6+');
+  assert.strictEqual(visibFromMetres(5000), 3.11);
+  assert.strictEqual(visibFromMetres(800), 0.5);
+});
@@ -0,0 +1,452 @@
+// ICAO METAR / TAF text decoder
+// Turns raw bulletins into the JSON shape aviationweather.gov returns (icaoId, obsTime,
+// visib in statute miles, clouds [{cover, base}], fcsts [...]) so server.js and app.js
+// can consume reports from any source. Details the AWC JSON doesn't carry (visibility
+// in metres, RVR, TREND, CB/TCU, ...) are added as extra fields alongside.
+
+const M_PER_SM = 1609.34;
+const MPS_TO_KT = 1.94384;
+const KMH_TO_KT = 1 / 1.852;
+const HPA_PER_INHG = 33.8639;
+
+const COVER_RANK = { FEW: 1, SCT: 2, BKN: 3, OVC: 4, OVX: 5 };
+
+const WX_DESCRIPTORS = 'MI|PR|BC|DR|BL|SH|TS|FZ';
+const WX_PHENOMENA = 'DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS';
+const WX_RE = new RegExp(`^(\\+|-|VC)?(${WX_DESCRIPTORS})?((?:${WX_PHENOMENA})*)$`);
+const RECENT_WX_RE = new RegExp(`^RE(${WX_DESCRIPTORS})?((?:${WX_PHENOMENA})*)$`);
+
+const WIND_RE = /^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/;
+const WIND_VAR_RE = /^(\d{3})V(\d{3})$/;
+const VIS_M_RE = /^(\d{4})(NDV)?$/;
+const VIS_DIR_RE = /^(\d{4})(N|NE|E|SE|S|SW|W|NW)$/;
+const VIS_SM_RE = /^(P|M)?(?:(\d{1,2})|(\d)\/(\d{1,2}))SM$/;
+const RVR_RE = /^R(\d{2}[LCR]?)\/([PM])?(\d{4})(?:V([PM])?(\d{4}))?(FT)?\/?([UDN])?$/;
+const CLOUD_RE = /^(FEW|SCT|BKN|OVC)(\d{3}|\/\/\/)(CB|TCU|\/\/\/)?$/;
+const VV_RE = /^VV(\d{3}|\/\/\/)$/;
+const TEMP_RE = /^(M?\d{2})\/(M?\d{2})?$/;
+const RUNWAY_STATE_RE = /^(R\d{2}[LCR]?\/[\dC/]{6}|R\/SNOCLO|\d{8})$/;
+const CHANGE_RE = /^(BECMG|TEMPO|NOSIG|RMK|INTER|FM\d{4,6}|PROB\d{2}|TX|TN)/;
+
+// ─── Helpers ────────────────────────────────────────────────
+
+function toTokens(raw) {
+  return String(raw).replace(/=+\s*$/, '').trim().split(/\s+/).filter(Boolean);
+}
+
+function tempValue(s) {
+  return s.startsWith('M') ? -parseInt(s.slice(1), 10) : parseInt(s, 10);
+}
+
+// Statute miles as AWC reports them: "6+" for 9999 m / P6SM, otherwise rounded to 0.01
+function visibFromMetres(m) {
+  if (m >= 9999) return '6+';
+  return Math.round(m / M_PER_SM * 100) / 100;
+}
+
+// Full timestamp (ms) for a day-of-month + time, picking the month closest to refMs
+function resolveDayTime(day, hour, minute, refMs) {
+  const ref = new Date(refMs);
+  let best = null;
+  for (const offset of [-1, 0, 1]) {
+    const midnight = Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + offset, day);
+    if (new Date(midnight).getUTCDate() !== day) continue; // e.g. 31st in a 30-day month
+    const t = midnight + (hour * 60 + minute) * 60 * 1000;
+    if (best === null || Math.abs(t - refMs) < Math.abs(best - refMs)) best = t;
+  }
+  return best;
+}
+
+// Timestamp (ms) for an hhmm on the day of baseMs, rolled forward past midnight if needed
+function resolveHourMinute(hour, minute, baseMs) {
+  const base = new Date(baseMs);
+  let t = Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate(), hour, minute);
+  if (t < baseMs - 3 * 60 * 60 * 1000) t += 24 * 60 * 60 * 1000;
+  return t;
+}
+
+function highestCover(group) {
+  if (group.cavok) return 'CAVOK';
+  let best = null;
+  for (const c of group.clouds) {
+    if (!best || (COVER_RANK[c.cover] || 0) > (COVER_RANK[best] || 0)) best = c.cover;
+  }
+  return best || group.skyCondition || null;
+}
+
+// ─── Weather Elements (shared by METAR, TREND and TAF groups) ─
+
+function newGroup() {
+  return {
+    wdir: null, wspd: null, wgst: null, wdirVar: null,
+    visibM: null, visibSM: null, minVisM: null, cavok: false,
+    rvr: [], wx: [], recentWx: [], clouds: [], vertVis: null, skyCondition: null,
+    temp: null, dewp: null, altim: null, windShear: [], runwayState: [], unparsed: [],
+  };
+}
+
+// Consumes weather elements starting at tokens[i] until a change/trend/remark keyword.
+// Returns the index of the first token not consumed.
+function parseElements(tokens, i, g) {
+  while (i < tokens.length) {
+    const tok = tokens[i];
+    if (CHANGE_RE.test(tok)) break;
+    let m;
+
+    if ((m = tok.match(WIND_RE))) {
+      const factor = m[4] === 'MPS' ? MPS_TO_KT : m[4] === 'KMH' ? KMH_TO_KT : 1;
+      g.wdir = m[1] === 'VRB' ? 'VRB' : parseInt(m[1], 10);
+      g.wspd = Math.round(parseInt(m[2], 10) * factor);
+      g.wgst = m[3] ? Math.round(parseInt(m[3], 10) * factor) : null;
+    } else if ((m = tok.match(WIND_VAR_RE))) {
+      g.wdirVar = { from: parseInt(m[1], 10), to: parseInt(m[2], 10) };
+    } else if (tok === 'CAVOK') {
+      g.cavok = true;
+      g.visibM = 9999;
+    } else if ((m = tok.match(VIS_M_RE))) {
+      g.visibM = parseInt(m[1], 10);
+    } else if ((m = tok.match(VIS_DIR_RE))) {
+      g.minVisM = parseInt(m[1], 10);
+    } else if (/^\d$/.test(tok) && i + 1 < tokens.length && /^\d\/\dSM$/.test(tokens[i + 1])) {
+      // Mixed fraction in statute miles, e.g. "1 1/2SM"
+      const [n, d] = tokens[i + 1].replace('SM', '').split('/').map(Number);
+      g.visibSM = parseInt(tok, 10) + n / d;
+      i++;
+    } else if ((m = tok.match(VIS_SM_RE))) {
+      const sm = m[2] != null ? parseInt(m[2], 10) : parseInt(m[3], 10) / parseInt(m[4], 10);
+      g.visibSM = m[1] === 'P' ? `${sm}+` : sm;
+    } else if ((m = tok.match(RVR_RE))) {
+      const toMetres = v => (m[6] ? Math.round(parseInt(v, 10) * 0.3048) : parseInt(v, 10));
+      g.rvr.push({
+        runway: m[1],
+        vis: toMetres(m[3]),
+        prefix: m[2] || null,
+        visMax: m[5] ? toMetres(m[5]) : null,
+        prefixMax: m[4] || null,
+        trend: m[7] || null,
+      });
+    } else if ((m = tok.match(CLOUD_RE))) {
+      g.clouds.push({
+        cover: m[1],
+        base: m[2] === '///' ? null : parseInt(m[2], 10) * 100,
+        type: m[3] && m[3] !== '///' ? m[3] : null,
+      });
+    } else if ((m = tok.match(VV_RE))) {
+      g.vertVis = m[1] === '///' ? null : parseInt(m[1], 10) * 100;
+      g.clouds.push({ cover: 'OVX', base: g.vertVis, type: null });
+    } else if (/^(NSC|NCD|SKC|CLR)$/.test(tok)) {
+      g.skyCondition = tok;
+    } else if (tok === 'NSW') {
+      g.wx.push('NSW');
+    } else if ((m = tok.match(RECENT_WX_RE)) && (m[1] || m[2])) {
+      g.recentWx.push(tok.slice(2));
+    } else if ((m = tok.match(WX_RE)) && (m[2] || m[3])) {
+      g.wx.push(tok);
+    } else if ((m = tok.match(TEMP_RE))) {
+      g.temp = tempValue(m[1]);
+      g.dewp = m[2] ? tempValue(m[2]) : null;
+    } else if ((m = tok.match(/^Q(\d{4})$/))) {
+      g.altim = parseInt(m[1], 10);
+    } else if ((m = tok.match(/^A(\d{4})$/))) {
+      g.altim = Math.round(parseInt(m[1], 10) / 100 * HPA_PER_INHG * 10) / 10;
+    } else if (tok === 'WS') {
+      // WS R34 / WS ALL RWY
+      const parts = [tokens[++i]];
+      if (parts[0] === 'ALL' && tokens[i + 1] === 'RWY') parts.push(tokens[++i]);
+      g.windShear.push(parts.join(' '));
+    } else if (RUNWAY_STATE_RE.test(tok)) {
+      g.runwayState.push(tok);
+    } else if (!/^\/+$/.test(tok)) {
+      g.unparsed.push(tok);
+    }
+    i++;
+  }
+  return i;
+}
+
+// AWC-shaped fields of a parsed group
+function awcFields(g) {
+  let visib = null;
+  if (g.visibSM != null) visib = g.visibSM;
+  else if (g.visibM != null) visib = visibFromMetres(g.visibM);
+  let visibM = g.visibM;
+  if (visibM == null && g.visibSM != null) {
+    visibM = Math.round(parseFloat(g.visibSM) * M_PER_SM);
+  }
+  return {
+    wdir: g.wdir, wspd: g.wspd, wgst: g.wgst,
+    visib,
+    wxString: g.wx.length > 0 ? g.wx.join(' ') : null,
+    clouds: g.clouds.map(c => ({ cover: c.cover, base: c.base, ...(c.type ? { type: c.type } : {}) })),
+    // Extras not present in the AWC JSON
+    wdirVar: g.wdirVar,
+    visibM,
+    minVisM: g.minVisM,
+    cavok: g.cavok,
+  };
+}
+
+// ─── METAR ──────────────────────────────────────────────────
+
+// Time groups of a TREND (FMhhmm / TLhhmm / AThhmm) resolved against the observation time
+function parseTrendTimes(tokens, i, trend, obsMs) {
+  let m;
+  while (i < tokens.length && (m = tokens[i].match(/^(FM|TL|AT)(\d{2})(\d{2})$/))) {
+    const t = Math.floor(resolveHourMinute(parseInt(m[2], 10), parseInt(m[3], 10), obsMs) / 1000);
+    if (m[1] === 'FM') trend.timeFrom = t;
+    else if (m[1] === 'TL') trend.timeTo = t;
+    else trend.timeAt = t;
+    i++;
+  }
+  return i;
+}
+
+// decodeMetar(raw, { refTime }) — refTime (Date or ms) resolves the month/year of the
+// DDHHMMZ group; defaults to now. Returns null if no station/time can be found.
+function decodeMetar(raw, options = {}) {
+  if (!raw) return null;
+  const tokens = toTokens(raw);
+  const refMs = options.refTime != null ? new Date(options.refTime).getTime() : Date.now();
+  let i = 0;
+  let metarType = 'METAR';
+  let cor = false;
+  let auto = false;
+
+  if (tokens[i] === 'METAR' || tokens[i] === 'SPECI') metarType = tokens[i++];
+  if (tokens[i] === 'COR') { cor = true; i++; }
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(tokens[i] || '')) return null;
+  const icaoId = tokens[i++];
+
+  const timeMatch = (tokens[i] || '').match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (!timeMatch) return null;
+  const obsMs = resolveDayTime(parseInt(timeMatch[1], 10), parseInt(timeMatch[2], 10), parseInt(timeMatch[3], 10), refMs);
+  i++;
+
+  const result = {
+    icaoId,
+    metarType,
+    reportTime: new Date(obsMs).toISOString(),
+    obsTime: Math.floor(obsMs / 1000),
+    rawOb: toTokens(raw).join(' '),
+  };
+
+  if (tokens[i] === 'NIL') {
+    return { ...result, nil: true, temp: null, dewp: null, wdir: null, wspd: null, wgst: null, visib: null, altim: null, wxString: null, cover: null, clouds: [] };
+  }
+
+  while (tokens[i] === 'AUTO' || tokens[i] === 'COR') {
+    if (tokens[i] === 'AUTO') auto = true; else cor = true;
+    i++;
+  }
+
+  const g = newGroup();
+  i = parseElements(tokens, i, g);
+
+  // TREND (BECMG / TEMPO / NOSIG), then remarks
+  const trend = [];
+  while (i < tokens.length && tokens[i] !== 'RMK') {
+    const tok = tokens[i];
+    if (tok === 'NOSIG') {
+      trend.push({ type: 'NOSIG' });
+      i++;
+    } else if (tok === 'BECMG' || tok === 'TEMPO') {
+      const t = { type: tok, timeFrom: null, timeTo: null, timeAt: null };
+      i = parseTrendTimes(tokens, i + 1, t, obsMs);
+      const tg = newGroup();
+      i = parseElements(tokens, i, tg);
+      trend.push({ ...t, ...awcFields(tg) });
+    } else {
+      g.unparsed.push(tok);
+      i++;
+    }
+  }
+  const remarks = i < tokens.length ? tokens.slice(i + 1).join(' ') : null;
+
+  return {
+    ...result,
+    temp: g.temp,
+    dewp: g.dewp,
+    altim: g.altim,
+    ...awcFields(g),
+    cover: highestCover(g),
+    auto,
+    cor,
+    rvr: g.rvr,
+    recentWx: g.recentWx,
+    windShear: g.windShear,
+    runwayState: g.runwayState,
+    trend,
+    remarks,
+    unparsed: g.unparsed,
+  };
+}
+
+// ─── TAF ────────────────────────────────────────────────────
+
+// DDHH/DDHH validity → [fromMs, toMs]
+function parseValidity(tok, refMs) {
+  const m = (tok || '').match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const from = resolveDayTime(parseInt(m[1], 10), parseInt(m[2], 10), 0, refMs);
+  let to = resolveDayTime(parseInt(m[3], 10), parseInt(m[4], 10), 0, from);
+  if (to <= from) to = resolveDayTime(parseInt(m[3], 10), parseInt(m[4], 10), 0, from + 24 * 60 * 60 * 1000);
+  return [from, to];
+}
+
+function fcstFromGroup(g, extra) {
+  const f = awcFields(g);
+  return {
+    timeFrom: extra.timeFrom,
+    timeTo: extra.timeTo,
+    timeBec: extra.timeBec ?? null,
+    fcstChange: extra.fcstChange ?? null,
+    probability: extra.probability ?? null,
+    wdir: f.wdir, wspd: f.wspd, wgst: f.wgst,
+    visib: f.visib,
+    altim: g.altim,
+    vertVis: g.vertVis,
+    wxString: f.wxString,
+    notDecoded: g.unparsed.length > 0 ? g.unparsed.join(' ') : null,
+    clouds: f.clouds,
+    wdirVar: f.wdirVar,
+    visibM: f.visibM,
+    cavok: f.cavok,
+    skyCondition: g.skyCondition || null,
+  };
+}
+
+// decodeTaf(raw, { refTime }) — refTime resolves the month of the issue time; defaults to now
+function decodeTaf(raw, options = {}) {
+  if (!raw) return null;
+  const tokens = toTokens(raw);
+  const refMs = options.refTime != null ? new Date(options.refTime).getTime() : Date.now();
+  let i = 0;
+  let amendment = null;
+
+  if (tokens[i] === 'TAF') i++;
+  while (tokens[i] === 'AMD' || tokens[i] === 'COR') amendment = tokens[i++];
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(tokens[i] || '')) return null;
+  const icaoId = tokens[i++];
+
+  let issueMs = null;
+  const issueMatch = (tokens[i] || '').match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (issueMatch) {
+    issueMs = resolveDayTime(parseInt(issueMatch[1], 10), parseInt(issueMatch[2], 10), parseInt(issueMatch[3], 10), refMs);
+    i++;
+  }
+
+  const result = {
+    icaoId,
+    issueTime: issueMs != null ? new Date(issueMs).toISOString() : null,
+    bulletinTime: issueMs != null ? new Date(issueMs).toISOString() : null,
+    validTimeFrom: null,
+    validTimeTo: null,
+    rawTAF: tokens.join(' '),
+    amendment,
+    cancelled: false,
+    nil: false,
+    temps: [],
+    remarks: null,
+    fcsts: [],
+  };
+
+  if (tokens[i] === 'NIL') {
+    result.nil = true;
+    return result;
+  }
+
+  const validity = parseValidity(tokens[i], issueMs ?? refMs);
+  if (!validity) return null;
+  i++;
+  const [validFromMs, validToMs] = validity;
+  if (issueMs == null) {
+    result.issueTime = result.bulletinTime = new Date(validFromMs).toISOString();
+    issueMs = validFromMs;
+  }
+  result.validTimeFrom = Math.floor(validFromMs / 1000);
+  result.validTimeTo = Math.floor(validToMs / 1000);
+
+  if (tokens[i] === 'CNL') {
+    result.cancelled = true;
+    return result;
+  }
+
+  // Collect groups: base, FM (replace everything), BECMG / TEMPO / PROB (change overlays)
+  const groups = [{ kind: 'BASE', timeFrom: result.validTimeFrom, g: newGroup() }];
+  let current = groups[0];
+  while (i < tokens.length) {
+    const before = i;
+    i = parseElements(tokens, i, current.g);
+    if (i >= tokens.length) break;
+    const tok = tokens[i];
+    let m;
+
+    if (tok === 'RMK') {
+      result.remarks = tokens.slice(i + 1).join(' ');
+      break;
+    } else if ((m = tok.match(/^(TX|TN)(M?\d{2})\/(\d{2})(\d{2})Z$/))) {
+      result.temps.push({
+        type: m[1] === 'TX' ? 'max' : 'min',
+        value: tempValue(m[2]),
+        time: Math.floor(resolveDayTime(parseInt(m[3], 10), parseInt(m[4], 10), 0, validFromMs) / 1000),
+      });
+      i++;
+    } else if ((m = tok.match(/^FM(\d{2})(\d{2})(\d{2})$/))) {
+      current = { kind: 'FM', timeFrom: Math.floor(resolveDayTime(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10), validFromMs) / 1000), g: newGroup() };
+      groups.push(current);
+      i++;
+    } else if (tok === 'BECMG' || tok === 'TEMPO' || tok === 'INTER' || /^PROB\d{2}$/.test(tok)) {
+      let probability = null;
+      let kind = tok === 'INTER' ? 'TEMPO' : tok;
+      if (tok.startsWith('PROB')) {
+        probability = parseInt(tok.slice(4), 10);
+        kind = 'PROB';
+        if (tokens[i + 1] === 'TEMPO') { kind = 'TEMPO'; i++; }
+      }
+      const period = parseValidity(tokens[i + 1], validFromMs);
+      if (!period) {
+        current.g.unparsed.push(tok);
+        i++;
+        continue;
+      }
+      current = {
+        kind,
+        probability,
+        timeFrom: Math.floor(period[0] / 1000),
+        timeTo: Math.floor(period[1] / 1000),
+        g: newGroup(),
+      };
+      groups.push(current);
+      i += 2;
+    } else {
+      current.g.unparsed.push(tok);
+      i++;
+    }
+    if (i === before) i++; // never stall on an unexpected token
+  }
+
+  // Base and FM periods run until the next FM period (or end of validity)
+  const fmStarts = groups.filter(gr => gr.kind === 'FM').map(gr => gr.timeFrom).sort((a, b) => a - b);
+  for (const gr of groups) {
+    if (gr.kind === 'BASE' || gr.kind === 'FM') {
+      const next = fmStarts.find(t => t > gr.timeFrom);
+      result.fcsts.push(fcstFromGroup(gr.g, {
+        timeFrom: gr.timeFrom,
+        timeTo: next ?? result.validTimeTo,
+        fcstChange: gr.kind === 'FM' ? 'FM' : null,
+      }));
+    } else {
+      result.fcsts.push(fcstFromGroup(gr.g, {
+        timeFrom: gr.timeFrom,
+        timeTo: gr.timeTo,
+        timeBec: gr.kind === 'BECMG' ? gr.timeTo : null,
+        fcstChange: gr.kind,
+        probability: gr.probability,
+      }));
+    }
+  }
+
+  return result;
+}
+
+module.exports = { decodeMetar, decodeTaf, visibFromMetres };